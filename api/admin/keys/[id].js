@@ -0,0 +1,24 @@
+const { sendError } = require("../../../lib/errors");
+const { instrumentRoute, requireMethod, routeParam } = require("../../../lib/http");
+const { requireAdmin } = require("../../../lib/auth");
+const { getKey, revokeKey } = require("../../../lib/api-keys");
+const { keyUsage } = require("../../../lib/access");
+
+//HANDLER
+module.exports = instrumentRoute("/admin/keys/:id", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET", "DELETE");
+    requireAdmin(req);
+    const id = routeParam(req, "id");
+
+    if (req.method === "DELETE") {
+      await revokeKey(id);
+      return res.status(204).end();
+    }
+
+    const apiKey = await getKey(id);
+    return res.status(200).json({ ok: true, api_key: { ...apiKey, usage: await keyUsage(apiKey) } });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -0,0 +1,28 @@
+const { sendError } = require("../../../lib/errors");
+const { instrumentRoute, readJsonBody, requireMethod } = require("../../../lib/http");
+const { requireAdmin } = require("../../../lib/auth");
+const { validate } = require("../../../lib/validation");
+const schemas = require("../../../lib/schemas");
+const { issueKey, listKeys } = require("../../../lib/api-keys");
+const { keyUsage } = require("../../../lib/access");
+
+//HANDLER
+module.exports = instrumentRoute("/admin/keys", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET", "POST");
+    requireAdmin(req);
+
+    if (req.method === "GET") {
+      const keys = await listKeys();
+      for (const k of keys) k.usage = await keyUsage(k);
+      return res.status(200).json({ ok: true, keys });
+    }
+
+    const body = validate(schemas.apiKeyCreate, readJsonBody(req));
+    // the key itself is only ever returned here
+    const { apiKey, key } = await issueKey(body);
+    return res.status(201).json({ ok: true, api_key: apiKey, key });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
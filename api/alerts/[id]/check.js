@@ -0,0 +1,20 @@
+const { sendError } = require("../../../lib/errors");
+const { instrumentRoute, requireMethod, routeParam } = require("../../../lib/http");
+const { requireClient } = require("../../../lib/access");
+const { requireUser } = require("../../../lib/auth");
+const { alerts, evaluateAlert } = require("../../../lib/alerts");
+
+//HANDLER
+// dry run: would the alert fire for the coming night? Sends nothing.
+module.exports = instrumentRoute("/alerts/:id/check", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET");
+    await requireClient(req, res);
+    const { id: userId } = await requireUser(req);
+
+    const alert = await alerts.get(userId, routeParam(req, "id"));
+    return res.status(200).json({ ok: true, ...(await evaluateAlert(alert)) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -0,0 +1,11 @@
+const schemas = require("../../lib/schemas");
+const { alerts, prepareAlert } = require("../../lib/alerts");
+const { profileHandlers } = require("../../lib/profile-handlers");
+const { instrumentRoute } = require("../../lib/http");
+
+//HANDLER
+module.exports = instrumentRoute("/alerts", profileHandlers(alerts, schemas.alert, {
+  plural: "alerts",
+  singular: "alert",
+  prepare: prepareAlert,
+}).index);
@@ -0,0 +1,33 @@
+const { ApiError, sendError } = require("../../../lib/errors");
+const { instrumentRoute, requireMethod, routeParam, sendBody } = require("../../../lib/http");
+const { requireClient } = require("../../../lib/access");
+const { validateQuery } = require("../../../lib/validation");
+const schemas = require("../../../lib/schemas");
+const { resolveObject } = require("../../../lib/outlook");
+const { chartSetup } = require("../../../lib/chart-request");
+const { renderFinderChart } = require("../../../lib/sky-chart");
+const { requestLang } = require("../../../lib/i18n");
+
+//HANDLER
+module.exports = instrumentRoute("/charts/finder/:id", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET");
+    await requireClient(req, res);
+
+    const id = routeParam(req, "id");
+    // Vercel passes the [id] path segment in req.query as well
+    const rawQuery = { ...req.query };
+    delete rawQuery.id;
+    const query = validateQuery(schemas.finderChartQuery, rawQuery);
+    const lang = requestLang(req, query.lang);
+    const { lat, lon, tz, date, gear } = await chartSetup(req, query);
+
+    const o = resolveObject(id, { lat, lon, date });
+    if (!o) throw new ApiError(404, "not_found", { key: "errors.not_found.object", params: { id } });
+
+    const svg = renderFinderChart({ o, gear, date, lat, lon, tz, radiusDeg: query.radius_deg, lang, size: query.size });
+    return sendBody(res, "image/svg+xml; charset=utf-8", svg, { "Content-Language": lang });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -0,0 +1,53 @@
+const { sendError } = require("../../lib/errors");
+const { instrumentRoute, requireMethod, sendBody } = require("../../lib/http");
+const { requireClient } = require("../../lib/access");
+const { validateQuery } = require("../../lib/validation");
+const schemas = require("../../lib/schemas");
+const { DEFAULT_CATALOGS } = require("../../lib/catalogs");
+const { computeMoon } = require("../../lib/moon");
+const { pickTargets } = require("../../lib/targets");
+const { chartSetup } = require("../../lib/chart-request");
+const { renderSkyChart } = require("../../lib/sky-chart");
+const { requestLang } = require("../../lib/i18n");
+
+function formatLatLon(lat, lon) {
+  return `${Math.abs(lat).toFixed(2)}° ${lat >= 0 ? "N" : "S"}, ${Math.abs(lon).toFixed(2)}° ${lon >= 0 ? "E" : "W"}`;
+}
+
+//HANDLER
+module.exports = instrumentRoute("/charts/sky", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET");
+    await requireClient(req, res);
+
+    const query = validateQuery(schemas.skyChartQuery, req.query);
+    const lang = requestLang(req, query.lang);
+    const { lat, lon, site, tz, date, skyBrightness, gear } = await chartSetup(req, query);
+
+    const moon = computeMoon({ lat, lon, now: date, night: null, windowStart: date, windowEnd: date, tz });
+    const targets = pickTargets({
+      lat,
+      lon,
+      date,
+      gear,
+      skyBrightness,
+      moon,
+      verdict: "ok",
+      catalogs: query.catalogs || DEFAULT_CATALOGS,
+    });
+
+    const svg = renderSkyChart({
+      lat,
+      lon,
+      date,
+      tz,
+      targets,
+      locationLabel: site?.name || formatLatLon(lat, lon),
+      lang,
+      size: query.size,
+    });
+    return sendBody(res, "image/svg+xml; charset=utf-8", svg, { "Content-Language": lang });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -0,0 +1,25 @@
+const { ApiError, sendError } = require("../../lib/errors");
+const { instrumentRoute, requireMethod } = require("../../lib/http");
+const { hasBearerSecret } = require("../../lib/auth");
+const { runAlerts } = require("../../lib/alerts");
+
+// callers must send `Authorization: Bearer <CRON_SECRET>` (Vercel Cron does)
+function requireCronSecret(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) throw new ApiError(404, "not_found", { key: "errors.cron_not_configured" });
+  if (!hasBearerSecret(req, secret)) {
+    throw new ApiError(401, "unauthorized", { key: "errors.cron_secret_invalid" });
+  }
+}
+
+//HANDLER
+module.exports = instrumentRoute("/cron/alerts", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET", "POST");
+    requireCronSecret(req);
+
+    return res.status(200).json({ ok: true, ...(await runAlerts()) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -0,0 +1,10 @@
+const schemas = require("../../lib/schemas");
+const { equipmentProfiles } = require("../../lib/profiles");
+const { profileHandlers } = require("../../lib/profile-handlers");
+const { instrumentRoute } = require("../../lib/http");
+
+//HANDLER
+module.exports = instrumentRoute("/equipment/:id", profileHandlers(equipmentProfiles, schemas.equipmentProfile, {
+  plural: "equipment_profiles",
+  singular: "equipment_profile",
+}).item);
@@ -1,3 +1,12 @@
-module.exports = (req, res) => {
-  res.status(200).json({ ok: true, message: "Backend is running" });
-};
+const { sendError } = require("../lib/errors");
+const { instrumentRoute, requireMethod } = require("../lib/http");
+
+// liveness only; /ready checks the catalogs and providers
+module.exports = instrumentRoute("/health", (req, res) => {
+  try {
+    requireMethod(req, res, "GET", "HEAD");
+    res.status(200).json({ ok: true, message: "Backend is running" });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
@@ -0,0 +1,42 @@
+const { sendError } = require("../lib/errors");
+const { instrumentRoute, requireMethod } = require("../lib/http");
+const { requireClient } = require("../lib/access");
+const { validateQuery } = require("../lib/validation");
+const schemas = require("../lib/schemas");
+const { chartSetup } = require("../lib/chart-request");
+const { planMarathon } = require("../lib/marathon");
+const { localizeMoon, localizeObject, requestLang } = require("../lib/i18n");
+
+//HANDLER
+module.exports = instrumentRoute("/marathon", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET");
+    await requireClient(req, res);
+
+    const query = validateQuery(schemas.marathonQuery, req.query);
+    const lang = requestLang(req, query.lang);
+    const { lat, lon, site, tz, date } = await chartSetup(req, query);
+
+    const marathon = planMarathon({
+      lat,
+      lon,
+      date,
+      tz,
+      minAltitude: query.min_altitude_deg,
+      minutesPerObject: query.minutes_per_object,
+    });
+
+    res.setHeader("Content-Language", lang);
+    return res.status(200).json({
+      ok: true,
+      location: { lat, lon, timezone: tz, site_id: query.site_id ?? null, label: site?.name ?? null },
+      ...marathon,
+      moon: localizeMoon(marathon.moon, lang),
+      sequence: marathon.sequence.map(o => localizeObject(o, lang)),
+      missed: marathon.missed.map(o => localizeObject(o, lang)),
+      impossible: marathon.impossible.map(o => localizeObject(o, lang)),
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
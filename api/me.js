@@ -0,0 +1,16 @@
+const { sendError } = require("../lib/errors");
+const { instrumentRoute, requireMethod } = require("../lib/http");
+const { requireClient } = require("../lib/access");
+const { requireUser } = require("../lib/auth");
+
+//HANDLER
+module.exports = instrumentRoute("/me", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET");
+    await requireClient(req, res);
+
+    return res.status(200).json({ ok: true, user: await requireUser(req) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -0,0 +1,18 @@
+const { sendError } = require("../../lib/errors");
+const { instrumentRoute, requireMethod } = require("../../lib/http");
+const { requireClient } = require("../../lib/access");
+const { requireUser } = require("../../lib/auth");
+const { rotateToken } = require("../../lib/accounts");
+
+//HANDLER
+module.exports = instrumentRoute("/me/token", async (req, res) => {
+  try {
+    requireMethod(req, res, "POST");
+    await requireClient(req, res);
+    const { id: userId } = await requireUser(req);
+
+    return res.status(200).json({ ok: true, token: await rotateToken(userId) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
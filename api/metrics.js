@@ -0,0 +1,20 @@
+const { ApiError, sendError } = require("../lib/errors");
+const { instrumentRoute, requireMethod, sendBody } = require("../lib/http");
+const { hasBearerSecret } = require("../lib/auth");
+const { renderMetrics } = require("../lib/metrics");
+
+//HANDLER
+// Prometheus scrape target; with METRICS_TOKEN set, scrapers must send it as a bearer token
+module.exports = instrumentRoute("/metrics", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET");
+    const token = process.env.METRICS_TOKEN;
+    if (token && !hasBearerSecret(req, token)) {
+      throw new ApiError(401, "unauthorized", { key: "errors.metrics_token_invalid" });
+    }
+
+    return sendBody(res, "text/plain; version=0.0.4; charset=utf-8", renderMetrics());
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -0,0 +1,54 @@
+const { DateTime, IANAZone } = require("luxon");
+const { DEFAULT_DARKNESS } = require("../../lib/twilight");
+const { ApiError, sendError } = require("../../lib/errors");
+const { instrumentRoute, requireMethod, routeParam } = require("../../lib/http");
+const { requireClient } = require("../../lib/access");
+const { validateQuery } = require("../../lib/validation");
+const schemas = require("../../lib/schemas");
+const { getWeather } = require("../../lib/weather");
+const { resolveObject } = require("../../lib/outlook");
+const { bestNightsInMonth, objectPosition } = require("../../lib/object-detail");
+const { localizeObject, requestLang } = require("../../lib/i18n");
+
+//HANDLER
+module.exports = instrumentRoute("/objects/:id", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET");
+    await requireClient(req, res);
+
+    const id = routeParam(req, "id");
+    // Vercel passes the [id] path segment in req.query as well
+    const rawQuery = { ...req.query };
+    delete rawQuery.id;
+    const query = validateQuery(schemas.objectDetailQuery, rawQuery);
+    const { lat, lon } = query;
+    const darkness = query.darkness || DEFAULT_DARKNESS;
+    const lang = requestLang(req, query.lang);
+
+    if (query.tz !== undefined && !IANAZone.isValidZone(query.tz)) {
+      throw new ApiError(400, "invalid_request", { key: "errors.invalid_time_zone", params: { field: "tz" } }, {
+        field: "tz",
+      });
+    }
+    const tz = query.tz || (await getWeather(lat, lon)).timezone;
+    // a date without an offset is local time at the site
+    const date = query.date ? DateTime.fromISO(query.date, { zone: tz }).toJSDate() : new Date();
+
+    const o = resolveObject(id, { lat, lon, date });
+    if (!o) throw new ApiError(404, "not_found", { key: "errors.not_found.object", params: { id } });
+
+    // live fields (altitude, azimuth) are reported under position instead
+    const { altitude, azimuth, ...object } = o;
+
+    res.setHeader("Content-Language", lang);
+    return res.status(200).json({
+      ok: true,
+      object: localizeObject(object, lang),
+      location: { lat, lon, timezone: tz },
+      position: objectPosition({ lat, lon, o, date, tz, darkness }),
+      best_nights: bestNightsInMonth({ lat, lon, o, date, tz, darkness }),
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
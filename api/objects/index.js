@@ -0,0 +1,44 @@
+const { sendError } = require("../../lib/errors");
+const { instrumentRoute, requireMethod } = require("../../lib/http");
+const { requireClient } = require("../../lib/access");
+const { validateQuery } = require("../../lib/validation");
+const schemas = require("../../lib/schemas");
+const { searchObjects } = require("../../lib/catalogs");
+const { localizeObject, requestLang } = require("../../lib/i18n");
+
+const DEFAULT_LIMIT = 50;
+
+//HANDLER
+module.exports = instrumentRoute("/objects", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET");
+    await requireClient(req, res);
+
+    const query = validateQuery(schemas.objectsQuery, req.query);
+    const limit = query.limit || DEFAULT_LIMIT;
+    const offset = query.offset || 0;
+    const lang = requestLang(req, query.lang);
+
+    const found = searchObjects({
+      q: query.q,
+      constellation: query.constellation,
+      type: query.type,
+      catalog: query.catalog,
+      minMagnitude: query.min_magnitude,
+      maxMagnitude: query.max_magnitude,
+      minSizeArcmin: query.min_size_arcmin,
+      maxSizeArcmin: query.max_size_arcmin,
+    });
+
+    res.setHeader("Content-Language", lang);
+    return res.status(200).json({
+      ok: true,
+      total: found.length,
+      offset,
+      limit,
+      objects: found.slice(offset, offset + limit).map(o => localizeObject(o, lang)),
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -1,156 +1,31 @@
-const OpenAI = require("openai");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-async function getWeather(lat, lon) {
-  const url =
-    `https://api.open-meteo.com/v1/forecast` +
-    `?latitude=${lat}&longitude=${lon}` +
-    `&hourly=cloud_cover,precipitation,wind_speed_10m` +
-    `&timezone=auto`;
-
-  const res = await fetch(url);
-  if (!res.ok) throw new Error("Weather API request failed");
-  return await res.json();
-}
-
-const fs = require("fs");
-const path = require("path");
-
-let MESSIER_CACHE = null;
-
-function loadMessier() {
-  if (MESSIER_CACHE) return MESSIER_CACHE;
-  const p = path.join(process.cwd(), "data", "messier.json");
-  const raw = fs.readFileSync(p, "utf8");
-  MESSIER_CACHE = JSON.parse(raw);
-  return MESSIER_CACHE;
-}
-
-const Astronomy = require("astronomy-engine");
 const { DateTime } = require("luxon");
-
-function toDateInWeatherTZ(isoLocal, tz) {
-  // isoLocal looks like: "2026-02-08T22:00"
-  // Interpret it as time in that timezone
-  return DateTime.fromISO(isoLocal, { zone: tz || "UTC" }).toJSDate();
-}
-
-function altitudeDeg(lat, lon, date, raDeg, decDeg) {
-  const observer = new Astronomy.Observer(lat, lon, 0);
-
-  // Horizon(date, observer, ra, dec, refraction)
-  const hor = Astronomy.Horizon(
-    date,
-    observer,
-    raDeg,
-    decDeg,
-    "normal"   // or "none" if you want geometric altitude
-  );
-
-  return hor.altitude; // degrees
-}
-
-function pickTargets({ lat, lon, date, apertureMm, max = 8 }) {
-  const messier = loadMessier();
-
-  const scored = [];
-  for (const o of messier) {
-    const ra = Number(o.ra_deg);
-    const dec = Number(o.dec_deg);
-    if (!Number.isFinite(ra) || !Number.isFinite(dec)) continue;
-
-    const alt = altitudeDeg(lat, lon, date, ra, dec);
-
-    // hard filter: below horizon / too low (you can tune)
-    if (alt < 15) continue;
-
-    const mag = Number(o.apparent_magnitude);
-    const major = Number(o.size_major_arcmin);
-
-    // ----- simple scoring (tune later) -----
-    // altitude dominates
-    let score = alt * 2.0;
-
-    // reward brighter objects (lower mag)
-    if (Number.isFinite(mag)) score += (10 - mag) * 3.0;
-
-    // aperture helps faint stuff a bit
-    if (Number.isFinite(apertureMm)) score += Math.min(2.0, (apertureMm - 80) / 80);
-
-    // small bonus for larger apparent size (nice visually)
-    if (Number.isFinite(major)) score += Math.min(2.0, major / 30);
-
-    // tiny type-based bonus (optional)
-    const t = (o.object_type || "").toLowerCase();
-    if (t.includes("globular")) score += 0.6;
-    if (t.includes("open cluster")) score += 0.4;
-    if (t.includes("nebula")) score += 0.7;
-
-    scored.push({
-      ...o,
-      altitude_deg: Math.round(alt * 10) / 10,
-      score: Math.round(score * 10) / 10,
-    });
-  }
-
-  scored.sort((a, b) => b.score - a.score);
-  return scored.slice(0, max);
-}
-
-function computeBestWindow(weather, hours = 12, windowHours = 2) {
-  const times = weather.hourly.time.slice(0, hours);
-  const clouds = weather.hourly.cloud_cover.slice(0, hours);
-  const precip = weather.hourly.precipitation.slice(0, hours);
-  const wind = weather.hourly.wind_speed_10m.slice(0, hours);
-
-  if (times.length < windowHours) return null;
-
-  // score: lower is better
-  // clouds dominates, precipitation is heavily penalized, wind lightly
-  const scoreAt = (i) => {
-    const c = avg(clouds.slice(i, i + windowHours));
-    const p = sum(precip.slice(i, i + windowHours));
-    const w = avg(wind.slice(i, i + windowHours));
-    return c * 1.0 + p * 100.0 + w * 0.2;
-  };
-
-  let bestI = 0;
-  let bestScore = scoreAt(0);
-
-  for (let i = 1; i <= times.length - windowHours; i++) {
-    const s = scoreAt(i);
-    if (s < bestScore) {
-      bestScore = s;
-      bestI = i;
-    }
-  }
-
-  const start = times[bestI];
-  const end = times[bestI + windowHours - 1];
-
-  return {
-    start,
-    end,
-    window_hours: windowHours,
-    avg_cloud_cover_percent: Math.round(avg(clouds.slice(bestI, bestI + windowHours))),
-    total_precip_mm: round1(sum(precip.slice(bestI, bestI + windowHours))),
-    avg_wind_kmh: round1(avg(wind.slice(bestI, bestI + windowHours))),
-    score: round1(bestScore),
-  };
-}
-
-function avg(arr) {
-  return arr.reduce((a, b) => a + b, 0) / (arr.length || 1);
-}
-function sum(arr) {
-  return arr.reduce((a, b) => a + b, 0);
-}
-function round1(x) {
-  return Math.round(x * 10) / 10;
-}
+const { DEFAULT_DARKNESS, toLocalIso } = require("../lib/twilight");
+const { assessNight } = require("../lib/night");
+const { ApiError, sendError } = require("../lib/errors");
+const { instrumentRoute, readJsonBody, requireMethod } = require("../lib/http");
+const { requireUser } = require("../lib/auth");
+const { requireClient, reserveAiCall } = require("../lib/access");
+const { validate } = require("../lib/validation");
+const schemas = require("../lib/schemas");
+const { getWeather } = require("../lib/weather");
+const { DEFAULT_CATALOGS } = require("../lib/catalogs");
+const { describeEquipment } = require("../lib/equipment");
+const { resolveSky } = require("../lib/light-pollution");
+const { buildItinerary } = require("../lib/itinerary");
+const { DEFAULT_IMAGING_MIN_ALTITUDE_DEG, describeImaging, pickImagingTargets } = require("../lib/imaging");
+const { observedObjectIds } = require("../lib/observations");
+const { withSavedProfiles } = require("../lib/profiles");
+const { getAiPlan } = require("../lib/ai-plan");
+const { sendExport } = require("../lib/export");
+const { log } = require("../lib/log");
+const {
+  localizeConditions,
+  localizeMoon,
+  localizeObject,
+  localizeSky,
+  requestLang,
+  t,
+} = require("../lib/i18n");
 
 function hemiLat(lat) {
   return lat >= 0 ? "N" : "S";
@@ -165,198 +40,400 @@ function formatLatLon(lat, lon, digits = 4) {
 }
 
 /**
- * Very small helper: get a "local-ish" current time string.
- * Open-Meteo hourly.time is already in the requested timezone (timezone=auto).
- * We'll use the first hourly time as the local baseline.
+ * The moment to plan from, local to `tz`: `date` alone means its evening
+ * (noon, so the night that follows), `time` alone is today, neither is now.
  */
-function localNowFromWeather(weather) {
-  const t0 = weather?.hourly?.time?.[0];
-  if (!t0) return null;
-  // t0 looks like "2026-02-08T10:00" in local timezone
-  return t0;
+function planningTime({ date, time }, tz) {
+  if (!date && !time) return new Date();
+  const day = date || DateTime.now().setZone(tz).toISODate();
+  return DateTime.fromISO(`${day}T${time || "12:00"}`, { zone: tz }).toJSDate();
 }
 
-function summarizeTonight(weather) {
-  const clouds = weather.hourly.cloud_cover.slice(0, 6);
-  const precip = weather.hourly.precipitation.slice(0, 6);
+function skyQualityPlanLines(tonight, lang) {
+  const lines = [];
+  if (tonight?.transparency !== null && tonight?.transparency < 2.5) {
+    lines.push(t(lang, "plan.transparency_poor"));
+  }
+  if (tonight?.seeing !== null && tonight?.seeing < 2.5) {
+    lines.push(t(lang, "plan.seeing_poor"));
+  } else if (tonight?.seeing >= 4) {
+    lines.push(t(lang, "plan.seeing_good"));
+  }
+  if (tonight?.dew_risk === "high") {
+    lines.push(t(lang, "plan.dew_high"));
+  }
+  return lines;
+}
 
-  const avgCloud = clouds.reduce((a, b) => a + b, 0) / clouds.length;
-  const totalPrecip = precip.reduce((a, b) => a + b, 0);
+function skyBrightnessPlanLine(skyBrightness, lang) {
+  if (!skyBrightness) return null;
+  const where = t(lang, skyBrightness.source === "estimate" ? "plan.sky_where_estimated" : "plan.sky_where", skyBrightness);
+  if (skyBrightness.bortle >= 7) return t(lang, "plan.sky_city", { where });
+  if (skyBrightness.bortle >= 5) return t(lang, "plan.sky_suburban", { where });
+  return t(lang, "plan.sky_dark", { where });
+}
 
-  let verdict = "ok";
-  if (avgCloud > 80 || totalPrecip > 1) verdict = "bad";
-  else if (avgCloud > 50) verdict = "mixed";
+function moonPlanLine(moon, lang) {
+  if (!moon) return null;
+  const params = { phase: moon.phase_name, percent: Math.round(moon.illuminated_fraction * 100) };
+  if (moon.deep_sky_impact === "severe") {
+    return t(lang, "plan.moon_severe", params);
+  }
+  if (moon.deep_sky_impact === "moderate") {
+    return moon.moonset
+      ? t(lang, "plan.moon_moderate_at", { ...params, moonset: moon.moonset.slice(11) })
+      : t(lang, "plan.moon_moderate", params);
+  }
+  return null;
+}
 
-  return {
-    verdict,
-    avg_cloud_cover_percent: Math.round(avgCloud),
-    total_precip_mm: Math.round(totalPrecip * 10) / 10,
-  };
+function brightTargetsUp(targets) {
+  const names = (targets || [])
+    .filter(t => (t.kind === "planet" || t.kind === "moon") && t.magnitude < 3)
+    .map(t => t.common_name);
+  return names.length ? names.join(", ") : null;
 }
-function makeRuleBasedPlan(tonight, equipment) {
-  const aperture = equipment?.aperture_mm;
+
+/**
+ * Rule-based plan lines in `lang`. Expects the Moon, sky brightness and
+ * targets already localized, since their names appear in the text.
+ */
+function makeRuleBasedPlan(tonight, gear, moon, targets, skyBrightness, lang) {
+  const aperture = gear?.aperture_mm;
   const v = String(tonight?.verdict || "").toLowerCase();
 
+  if (tonight?.forecast_available === false) {
+    const lines = [
+      t(lang, "plan.no_forecast", { date: tonight.night_of }),
+      t(lang, "plan.no_forecast_targets", { start: tonight.targets_at.slice(11) }),
+    ];
+    const glowLine = skyBrightnessPlanLine(skyBrightness, lang);
+    const moonLine = moonPlanLine(moon, lang);
+    if (glowLine) lines.push(glowLine);
+    if (moonLine) lines.push(moonLine);
+    return lines;
+  }
+
+  if (tonight?.dark_hours_in_forecast === 0) {
+    return [
+      tonight.note,
+      t(lang, "plan.no_dark_forecast"),
+      t(lang, "plan.no_dark_later"),
+    ];
+  }
+
+  const brightUp = brightTargetsUp(targets);
+
   if (v === "bad") {
     return [
-      "Clouds/precip look bad. Expect limited observing.",
-      "If there are brief gaps: try the Moon (if up) or bright planets.",
-      "If clouds persist: use the night for planning—check tomorrow’s forecast and prep your gear.",
+      t(lang, "plan.bad_intro"),
+      brightUp ? t(lang, "plan.bad_gaps_bright", { targets: brightUp }) : t(lang, "plan.bad_gaps_none"),
+      t(lang, "plan.bad_persist"),
     ];
   }
 
+  const moonLine = moonPlanLine(moon, lang);
+  const skyLines = skyQualityPlanLines(tonight, lang);
+  const glowLine = skyBrightnessPlanLine(skyBrightness, lang);
+
   if (v === "mixed") {
-    return [
-      "Conditions are mixed. Watch for clear windows.",
-      "Focus on bright targets: planets, Moon, bright star clusters.",
-      "Keep sessions short and flexible—observe whenever the sky opens.",
+    const lines = [
+      t(lang, "plan.mixed_intro"),
+      brightUp ? t(lang, "plan.mixed_bright", { targets: brightUp }) : t(lang, "plan.mixed_none"),
+      t(lang, "plan.mixed_flexible"),
+      ...skyLines,
     ];
+    if (glowLine) lines.push(glowLine);
+    if (moonLine) lines.push(moonLine);
+    return lines;
   }
 
   const base = [
-    "Conditions look decent. Plan a full session.",
-    "Start with bright/easy targets, then go deeper later in the night.",
+    t(lang, "plan.good_intro"),
+    t(lang, "plan.good_order"),
   ];
 
-  if (typeof aperture === "number" && aperture >= 150) {
-    base.push("With ~150mm+ aperture, try brighter nebulae/galaxies (e.g., Orion Nebula).");
+  if (gear?.type !== "binoculars" && typeof aperture === "number" && aperture >= 150) {
+    base.push(t(lang, "plan.large_aperture"));
   } else {
-    base.push("With smaller aperture/binoculars, prioritize open clusters and bright nebulae.");
+    base.push(t(lang, "plan.small_aperture"));
   }
 
-  return base;
-}
+  base.push(...skyLines);
+  if (glowLine) base.push(glowLine);
+  if (moonLine) base.push(moonLine);
 
-function sanitizeAiPlan(text) {
-  if (!text) return null;
-  return String(text)
-    .split("\n")
-    .map(l => l.trim())
-    .filter(Boolean)
-    .slice(0, 5)
-    .map(l => l.startsWith("- ") ? l : `- ${l.replace(/^[-•]\s*/, "")}`)
-    .join("\n");
+  return base;
 }
 
-async function getAiPlan({ tonight, equipment, location, weather, targets }) {
-  const topTargetsText = (targets || [])
-    .slice(0, 6)
-    .map(t =>
-      `- ${t.messier_no} (${t.ngcic_no}) ${t.common_name || ""} | ${t.object_type} | mag ${t.apparent_magnitude} | alt ${t.altitude_deg}°`
-    )
-    .join("\n");
-
-  const messages = [
-    {
-      role: "system",
-      content:
-        "You are an astronomy observing assistant. " +
-        "Return EXACTLY 5 lines. " +
-        "Each line MUST start with '- ' (dash + space). " +
-        "No blank lines. No trailing spaces. No extra punctuation at line ends. " +
-        "Plain text only." +
-        "IMPORTANT: If verdict is Bad, do NOT recommend more than 1-2 targets. Instead focus on “unlikely observing” + alternatives."
-    },
-    {
-      role: "user",
-      content:
-        `Location: ${location?.label || "unknown"}
-Latitude/Longitude: ${location?.latlon || "unknown"}
-Hemisphere: ${location?.hemisphere || "unknown"}
-Local timezone: ${weather?.timezone || "unknown"}
-Local time (approx): ${location?.local_time || "unknown"}
-
-Conditions verdict: ${tonight.verdict}
-Average cloud cover: ${tonight.avg_cloud_cover_percent}%
-Total precipitation: ${tonight.total_precip_mm} mm
-Telescope aperture: ${equipment?.aperture_mm || "unknown"} mm
-
-Candidate visible Messier targets (ranked):
-${topTargetsText || "- (none found)"}
-
-Task: Suggest what to observe tonight for this setup and conditions.`
-    },
-  ];
-
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages,
-    max_tokens: 200,
-    temperature: 0.7,
-  });
+/**
+ * Rule-based plan lines for mode "imaging", in `lang`. `targets` are from
+ * pickImagingTargets, localized.
+ */
+function makeImagingPlan(tonight, imaging, moon, targets, skyBrightness, lang) {
+  const v = String(tonight?.verdict || "").toLowerCase();
+  const lines = [];
+
+  if (tonight?.forecast_available === false) {
+    lines.push(t(lang, "plan.no_forecast", { date: tonight.night_of }));
+  } else if (tonight?.dark_hours_in_forecast === 0) {
+    return [tonight.note, t(lang, "plan.no_dark_forecast"), t(lang, "plan.no_dark_later")];
+  } else if (v === "bad") {
+    lines.push(t(lang, "imaging.bad"));
+  } else if (v === "mixed") {
+    lines.push(t(lang, "imaging.mixed"));
+  } else {
+    lines.push(t(lang, "imaging.good"));
+  }
 
-  return response.choices[0].message.content;
-}
+  lines.push(t(lang, "imaging.setup", {
+    width: imaging.fov_width_arcmin,
+    height: imaging.fov_height_arcmin,
+    scale: imaging.image_scale_arcsec_per_px,
+  }));
+  if (imaging.sampling !== "good") lines.push(t(lang, `imaging.${imaging.sampling}`));
+
+  const top = targets[0];
+  if (top) {
+    const name = top.common_name || top.designations[0];
+    lines.push(t(lang, "imaging.top_target", {
+      name,
+      hours: Math.round(top.usable_minutes / 6) / 10,
+      min: imaging.min_altitude_deg,
+      start: top.usable_start.slice(11),
+      end: top.usable_end.slice(11),
+    }));
+    if (top.meridian_flip) lines.push(t(lang, "imaging.meridian_flip", { name, time: top.meridian_flip.slice(11) }));
+  } else {
+    lines.push(t(lang, "imaging.no_targets", { min: imaging.min_altitude_deg }));
+  }
+  if (imaging.mount === "altaz") lines.push(t(lang, "imaging.altaz"));
 
-function readJsonBody(req) {
-  // Vercel usually parses JSON into req.body already, but we support both.
-  if (req.body && typeof req.body === "object") return req.body;
-  if (typeof req.body === "string") {
-    try { return JSON.parse(req.body); } catch {}
+  if (moon?.deep_sky_impact === "severe" || moon?.deep_sky_impact === "moderate") {
+    lines.push(t(lang, "imaging.moon", { phase: moon.phase_name, percent: Math.round(moon.illuminated_fraction * 100) }));
+  } else if (skyBrightness?.bortle >= 7) {
+    lines.push(t(lang, "imaging.light_pollution"));
   }
-  return null;
+  if (tonight?.dew_risk === "high") lines.push(t(lang, "imaging.dew_high"));
+
+  return lines;
 }
 
 //HANDLER
-module.exports = async (req, res) => {
+module.exports = instrumentRoute("/observe-tonight", async (req, res) => {
   try {
-    if (req.method !== "POST") {
-      return res.status(405).json({ ok: false, error: "Use POST" });
-    }
-
-    const body = readJsonBody(req) || {};
-    const { lat, lon, equipment } = body;
-
-    if (typeof lat !== "number" || typeof lon !== "number") {
-      return res.status(400).json({ ok: false, error: "lat and lon must be numbers" });
+    requireMethod(req, res, "POST");
+    const client = await requireClient(req, res);
+
+    const raw = validate(schemas.observeTonight, readJsonBody(req));
+    const lang = requestLang(req, raw.lang);
+    const needsUser = raw.site_id || raw.equipment_id || raw.prefer_unobserved;
+    const user = needsUser ? await requireUser(req) : null;
+    const body = await withSavedProfiles(user?.id, raw);
+    const { lat, lon, equipment, site, horizon } = body;
+    const darkness = body.darkness || DEFAULT_DARKNESS;
+    const sessionHours = body.session_hours;
+    const catalogs = body.catalogs || DEFAULT_CATALOGS;
+    const skyBrightness = resolveSky({ lat, lon, bortle: body.bortle, sqm: body.sqm });
+    const gear = describeEquipment(equipment, skyBrightness);
+    const observed = body.prefer_unobserved ? await observedObjectIds(user.id) : null;
+
+    let imaging = null;
+    if (body.mode === "imaging") {
+      imaging = describeImaging(equipment);
+      if (!imaging) {
+        throw new ApiError(400, "invalid_request", {
+          key: "errors.imaging_setup_required",
+          params: { field: "equipment.camera" },
+        }, { field: "equipment.camera" });
+      }
+      imaging.min_altitude_deg = body.min_altitude_deg ?? DEFAULT_IMAGING_MIN_ALTITUDE_DEG;
     }
 
     const weather = await getWeather(lat, lon);
+    const tz = weather.timezone;
+    // a requested date/time replaces the clock everywhere, past hours included
+    const now = planningTime(body, tz);
     const location = {
       lat,
       lon,
       hemisphere: `${hemiLat(lat)}/${hemiLon(lon)}`,
       latlon: formatLatLon(lat, lon, 4),
-      // optional: you can send city/country from the app later
-      label: formatLatLon(lat, lon, 2),
-      local_time: localNowFromWeather(weather),
+      label: site?.name || formatLatLon(lat, lon, 2),
+      elevation_m: site?.elevation_m ?? null,
+      horizon_notes: site?.horizon_notes ?? null,
+      horizon: horizon ?? null,
+      local_time: toLocalIso(now, tz),
     };
-    const best_window = computeBestWindow(weather, 12, 2);
-    let targets = [];
-    if (best_window?.start) {
-      const tz = weather.timezone;
-      const d = toDateInWeatherTZ(best_window.start, tz);
-      targets = pickTargets({
+
+    const night = assessNight({
+      lat,
+      lon,
+      weather,
+      from: now,
+      darkness,
+      gear,
+      skyBrightness,
+      catalogs,
+      observed,
+      horizon,
+      // imaging ranks its own targets below
+      maxTargets: imaging ? 0 : undefined,
+    });
+
+    const { twilight, dark, sky } = night;
+
+    // the rest of tonight's dark period, optionally capped to the session length
+    let session = null;
+    if (dark) {
+      const start = new Date(Math.max(dark.start.getTime(), now.getTime()));
+      const end = sessionHours
+        ? new Date(Math.min(dark.end.getTime(), start.getTime() + sessionHours * 3600 * 1000))
+        : dark.end;
+      session = { start, end };
+    }
+
+    // imaging targets carry their own time above the limit instead of an itinerary
+    let itinerary = null;
+    let imagingTargets = [];
+    if (session && imaging) {
+      imaging.start = toLocalIso(session.start, tz);
+      imaging.end = toLocalIso(session.end, tz);
+      imagingTargets = pickImagingTargets({
         lat,
         lon,
-        date: d,
-        apertureMm: equipment?.aperture_mm,
-        max: 8,
+        ...session,
+        tz,
+        weather,
+        forecastAvailable: night.tonight.forecast_available,
+        setup: imaging,
+        horizon,
+        minAltitude: imaging.min_altitude_deg,
+        skyBrightness,
+        moon: night.moon,
+        catalogs,
+        observed,
       });
+    } else if (session) {
+      itinerary = buildItinerary({
+        lat,
+        lon,
+        ...session,
+        tz,
+        gear,
+        skyBrightness,
+        moon: night.moon,
+        verdict: night.tonight.verdict,
+        catalogs,
+        observed,
+        horizon,
+      });
+      for (const slot of itinerary?.slots || []) {
+        slot.entries = slot.entries.map(e => localizeObject(e, lang));
+      }
     }
-    const tonight = summarizeTonight(weather);
 
-    const plan = makeRuleBasedPlan(tonight, equipment);
+    // everything below is in the caller's language
+    const tonight = localizeConditions(night.tonight, lang);
+    const hours = weather.hourly.time;
+    const forecast = { available: tonight.forecast_available, from: hours[0], to: hours[hours.length - 1] };
+    if (!tonight.forecast_available) {
+      tonight.night_of = (twilight.sunset || "").slice(0, 10);
+      tonight.targets_at = toLocalIso(night.targetsAt, tz);
+      tonight.note = t(lang, "tonight.no_forecast", { date: tonight.night_of, ...forecast });
+    } else if (dark && now > dark.end) {
+      tonight.note = t(lang, "tonight.darkness_over", {
+        darkness: t(lang, `darkness.${darkness}`, {}, darkness),
+        end: twilight.dark_end,
+      });
+    } else if (tonight.dark_hours_in_forecast === 0) {
+      tonight.note = t(lang, "tonight.no_darkness", { darkness: t(lang, `darkness.${darkness}`, {}, darkness) });
+    }
+    const best_window = localizeConditions(night.best_window, lang);
+    const moon = localizeMoon(night.moon, lang);
+    const targets = imaging
+      ? imagingTargets.map(o => ({
+        ...localizeObject(o, lang),
+        filter_note: t(lang, `imaging.filter_${o.filter}_${o.filter_reason}`),
+      }))
+      : night.targets.map(o => localizeObject(o, lang));
+    const sky_brightness = localizeSky(skyBrightness, lang);
+    const plan = imaging
+      ? makeImagingPlan(tonight, imaging, moon, targets, sky_brightness, lang)
+      : makeRuleBasedPlan(tonight, gear, moon, targets, sky_brightness, lang);
 
     let ai_plan = null;
     let ai_error = null;
-
-    try {
-      ai_plan = sanitizeAiPlan(await getAiPlan({ tonight, equipment, location, weather, targets }));
-    } catch (e) {
-      ai_error = e?.message || String(e);
-      console.error("AI PLAN ERROR:", e);
-      ai_plan = null;
+    let ai_plan_skipped = null;
+
+    // exports carry no AI plan, so don't spend a call or the quota on one
+    const exporting = Boolean(body.format && body.format !== "json");
+
+    // the quota is spent before the call goes out, so failed calls count
+    // too; cached plans are free. Over-quota callers still get the
+    // rule-based plan.
+    if (!exporting) {
+      let overQuota = null;
+      try {
+        ai_plan = await getAiPlan(
+          { tonight, gear, imaging, skyBrightness: sky_brightness, location, weather, targets, twilight, moon, lang },
+          {
+            async beforeCall() {
+              const quota = await reserveAiCall(client);
+              if (quota.allowed) return;
+              overQuota = quota;
+              throw new Error("AI quota exceeded");
+            },
+          },
+        );
+        if (!ai_plan) ai_plan_skipped = { reason: "not_configured", message: t(lang, "plan.ai_not_configured") };
+      } catch (e) {
+        if (overQuota) {
+          ai_plan_skipped = {
+            reason: "quota_exceeded",
+            message: t(lang, "plan.ai_quota_exceeded", overQuota),
+            limit: overQuota.limit,
+            used: overQuota.used,
+            resets_at: overQuota.resets_at,
+          };
+        } else {
+          // the rule-based plan still stands
+          ai_error = e?.message || String(e);
+          log.warn("AI plan failed", { err: e });
+        }
+      }
     }
 
-    return res.status(200).json({
+    const out = {
       ok: true,
-      received: { lat, lon, equipment, location },
+      received: {
+        lat,
+        lon,
+        equipment,
+        catalogs,
+        location,
+        site_id: raw.site_id ?? null,
+        equipment_id: raw.equipment_id ?? null,
+        lang,
+        mode: body.mode || "visual",
+        format: body.format || "json",
+        date: body.date ?? null,
+        time: body.time ?? null,
+      },
+      equipment: gear,
+      imaging,
+      sky_brightness,
       tonight,
+      forecast,
+      twilight,
+      moon,
       best_window,
       targets,
+      itinerary,
       plan,
       ai_plan,
+      ai_error,
+      ai_plan_skipped,
       weather: {
         timezone: weather.timezone,
         hourly_units: weather.hourly_units,
@@ -366,9 +443,15 @@ module.exports = async (req, res) => {
           precipitation: weather.hourly.precipitation.slice(0, 12),
           wind_speed_10m: weather.hourly.wind_speed_10m.slice(0, 12),
         },
+        // per-hour sky quality over tonight's dark hours
+        sky_quality: sky,
       },
-    });
+    };
+
+    res.setHeader("Content-Language", lang);
+    if (exporting) return sendExport(res, body.format, out, lang);
+    return res.status(200).json(out);
   } catch (err) {
-    return res.status(500).json({ ok: false, error: err.message || "Unknown error" });
+    return sendError(res, err);
   }
-};
+});
@@ -0,0 +1,87 @@
+const { DEFAULT_DARKNESS } = require("../lib/twilight");
+const { ApiError, sendError } = require("../lib/errors");
+const { instrumentRoute, readJsonBody, requireMethod } = require("../lib/http");
+const { requireClient } = require("../lib/access");
+const { requireUser } = require("../lib/auth");
+const { validate } = require("../lib/validation");
+const schemas = require("../lib/schemas");
+const { getWeather } = require("../lib/weather");
+const { DEFAULT_CATALOGS } = require("../lib/catalogs");
+const { describeEquipment } = require("../lib/equipment");
+const { resolveSky } = require("../lib/light-pollution");
+const { buildOutlook, resolveObject } = require("../lib/outlook");
+const { withSavedProfiles } = require("../lib/profiles");
+const { localizeSky, requestLang } = require("../lib/i18n");
+
+const DEFAULT_NIGHTS = 7;
+
+//HANDLER
+module.exports = instrumentRoute("/observe-week", async (req, res) => {
+  try {
+    requireMethod(req, res, "POST");
+    await requireClient(req, res);
+
+    const raw = validate(schemas.observeWeek, readJsonBody(req));
+    const lang = requestLang(req, raw.lang);
+    const user = raw.site_id || raw.equipment_id ? await requireUser(req) : null;
+    const body = await withSavedProfiles(user?.id, raw);
+    const { lat, lon, equipment, site, horizon } = body;
+    const darkness = body.darkness || DEFAULT_DARKNESS;
+    const catalogs = body.catalogs || DEFAULT_CATALOGS;
+    const nights = body.nights || DEFAULT_NIGHTS;
+    const skyBrightness = resolveSky({ lat, lon, bortle: body.bortle, sqm: body.sqm });
+    const gear = describeEquipment(equipment, skyBrightness);
+
+    const now = new Date();
+    let target = null;
+    if (body.object) {
+      target = resolveObject(body.object, { lat, lon, date: now });
+      if (!target) {
+        throw new ApiError(400, "invalid_request", {
+          key: "errors.unknown_object",
+          params: { field: "object", value: body.object },
+        }, { field: "object" });
+      }
+    }
+
+    const weather = await getWeather(lat, lon);
+    const outlook = buildOutlook({
+      lat,
+      lon,
+      weather,
+      now,
+      nights,
+      darkness,
+      gear,
+      skyBrightness,
+      catalogs,
+      horizon,
+      target,
+      lang,
+    });
+
+    res.setHeader("Content-Language", lang);
+    return res.status(200).json({
+      ok: true,
+      received: {
+        lat,
+        lon,
+        equipment,
+        catalogs,
+        nights,
+        object: body.object ?? null,
+        horizon: horizon ?? null,
+        site_id: raw.site_id ?? null,
+        equipment_id: raw.equipment_id ?? null,
+        lang,
+      },
+      site: site ? { id: site.id, name: site.name, elevation_m: site.elevation_m ?? null } : null,
+      timezone: weather.timezone,
+      equipment: gear,
+      sky_brightness: localizeSky(skyBrightness, lang),
+      ...outlook,
+    });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -0,0 +1,18 @@
+const { sendError } = require("../lib/errors");
+const { instrumentRoute, requireMethod } = require("../lib/http");
+const { requireClient } = require("../lib/access");
+const { requireUser } = require("../lib/auth");
+const { catalogProgress } = require("../lib/observations");
+
+//HANDLER
+module.exports = instrumentRoute("/progress", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET");
+    await requireClient(req, res);
+    const { id: userId } = await requireUser(req);
+
+    return res.status(200).json({ ok: true, catalogs: await catalogProgress(userId) });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
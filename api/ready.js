@@ -0,0 +1,43 @@
+const { ApiError, sendError } = require("../lib/errors");
+const { instrumentRoute, requireMethod } = require("../lib/http");
+const { CATALOGS, loadCatalogs } = require("../lib/catalogs");
+const { weatherStatus } = require("../lib/weather");
+const { llmStatus } = require("../lib/llm");
+const { storageStatus } = require("../lib/store");
+
+// every registered catalog parses and has objects in it
+function catalogStatus() {
+  try {
+    const counts = Object.fromEntries(Object.keys(CATALOGS).map(id => [id, loadCatalogs([id]).length]));
+    const empty = Object.keys(counts).filter(id => counts[id] === 0);
+    return empty.length
+      ? { ok: false, objects: counts, message: `Empty catalogs: ${empty.join(", ")}` }
+      : { ok: true, objects: counts };
+  } catch (e) {
+    return { ok: false, message: e.message };
+  }
+}
+
+//HANDLER
+// unlike /health (the process is up), 503 until the catalogs and configured providers work
+module.exports = instrumentRoute("/ready", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET", "HEAD");
+
+    const checks = {
+      catalogs: catalogStatus(),
+      weather: await weatherStatus(),
+      llm: llmStatus(),
+      storage: storageStatus(),
+    };
+    const failed = Object.keys(checks).filter(k => !checks[k].ok);
+    if (failed.length) {
+      throw new ApiError(503, "not_ready", { key: "errors.not_ready", params: { checks: failed.join(", ") } }, {
+        details: checks,
+      });
+    }
+    return res.status(200).json({ ok: true, checks });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
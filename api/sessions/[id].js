@@ -0,0 +1,19 @@
+const { sendError } = require("../../lib/errors");
+const { instrumentRoute, requireMethod, routeParam } = require("../../lib/http");
+const { requireClient } = require("../../lib/access");
+const { requireUser } = require("../../lib/auth");
+const { getSession } = require("../../lib/observations");
+
+//HANDLER
+module.exports = instrumentRoute("/sessions/:id", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET");
+    await requireClient(req, res);
+    const { id: userId } = await requireUser(req);
+
+    const session = await getSession(userId, routeParam(req, "id"));
+    return res.status(200).json({ ok: true, session });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -0,0 +1,22 @@
+const { sendError } = require("../../../lib/errors");
+const { instrumentRoute, readJsonBody, requireMethod, routeParam } = require("../../../lib/http");
+const { requireClient } = require("../../../lib/access");
+const { requireUser } = require("../../../lib/auth");
+const { validate } = require("../../../lib/validation");
+const schemas = require("../../../lib/schemas");
+const { addObservation } = require("../../../lib/observations");
+
+//HANDLER
+module.exports = instrumentRoute("/sessions/:id/observations", async (req, res) => {
+  try {
+    requireMethod(req, res, "POST");
+    await requireClient(req, res);
+    const { id: userId } = await requireUser(req);
+
+    const body = validate(schemas.observationCreate, readJsonBody(req));
+    const observation = await addObservation(userId, routeParam(req, "id"), body);
+    return res.status(201).json({ ok: true, observation });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -0,0 +1,71 @@
+const { DEFAULT_DARKNESS } = require("../../lib/twilight");
+const { sendError } = require("../../lib/errors");
+const { instrumentRoute, readJsonBody, requireMethod } = require("../../lib/http");
+const { requireClient } = require("../../lib/access");
+const { requireUser } = require("../../lib/auth");
+const { validate, validateQuery } = require("../../lib/validation");
+const schemas = require("../../lib/schemas");
+const { getWeather } = require("../../lib/weather");
+const { resolveSky } = require("../../lib/light-pollution");
+const { assessNight } = require("../../lib/night");
+const { createSession, listSessions } = require("../../lib/observations");
+const { log } = require("../../lib/log");
+
+// what the forecast said for the site when the session was logged
+async function forecastSnapshot(lat, lon, skyBrightness) {
+  try {
+    const weather = await getWeather(lat, lon);
+    const { tonight, moon } = assessNight({
+      lat,
+      lon,
+      weather,
+      from: new Date(),
+      darkness: DEFAULT_DARKNESS,
+      skyBrightness,
+    });
+    return {
+      source: "forecast",
+      verdict: tonight.verdict,
+      avg_cloud_cover_percent: tonight.avg_cloud_cover_percent,
+      transparency: tonight.transparency,
+      seeing: tonight.seeing,
+      dew_risk: tonight.dew_risk,
+      moon_phase: moon.phase_name,
+      moon_illuminated_fraction: moon.illuminated_fraction,
+    };
+  } catch (e) {
+    // a log entry is still worth keeping without the forecast
+    log.warn("session forecast snapshot failed", { err: e });
+    return null;
+  }
+}
+
+//HANDLER
+module.exports = instrumentRoute("/sessions", async (req, res) => {
+  try {
+    requireMethod(req, res, "GET", "POST");
+    await requireClient(req, res);
+    const { id: userId } = await requireUser(req);
+
+    if (req.method === "GET") {
+      const query = validateQuery(schemas.pageQuery, req.query);
+      const { total, sessions } = await listSessions(userId, query);
+      return res.status(200).json({ ok: true, total, sessions });
+    }
+
+    const body = validate(schemas.sessionCreate, readJsonBody(req));
+    const skyBrightness = resolveSky({ lat: body.lat, lon: body.lon, bortle: body.bortle, sqm: body.sqm });
+    const conditions = body.conditions
+      ? { source: "observer", ...body.conditions }
+      : await forecastSnapshot(body.lat, body.lon, skyBrightness);
+
+    const session = await createSession(userId, {
+      ...body,
+      sky_brightness: skyBrightness,
+      conditions,
+    });
+    return res.status(201).json({ ok: true, session });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -0,0 +1,7 @@
+const schemas = require("../../lib/schemas");
+const { sites } = require("../../lib/profiles");
+const { profileHandlers } = require("../../lib/profile-handlers");
+const { instrumentRoute } = require("../../lib/http");
+
+//HANDLER
+module.exports = instrumentRoute("/sites/:id", profileHandlers(sites, schemas.site, { plural: "sites", singular: "site" }).item);
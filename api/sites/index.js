@@ -0,0 +1,7 @@
+const schemas = require("../../lib/schemas");
+const { sites } = require("../../lib/profiles");
+const { profileHandlers } = require("../../lib/profile-handlers");
+const { instrumentRoute } = require("../../lib/http");
+
+//HANDLER
+module.exports = instrumentRoute("/sites", profileHandlers(sites, schemas.site, { plural: "sites", singular: "site" }).index);
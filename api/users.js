@@ -0,0 +1,21 @@
+const { sendError } = require("../lib/errors");
+const { instrumentRoute, readJsonBody, requireMethod } = require("../lib/http");
+const { requireClient } = require("../lib/access");
+const { validate } = require("../lib/validation");
+const schemas = require("../lib/schemas");
+const { createUser } = require("../lib/accounts");
+
+//HANDLER
+module.exports = instrumentRoute("/users", async (req, res) => {
+  try {
+    requireMethod(req, res, "POST");
+    await requireClient(req, res);
+
+    const body = validate(schemas.userCreate, readJsonBody(req));
+    // the token is only ever returned here and by POST /me/token
+    const { user, token } = await createUser(body);
+    return res.status(201).json({ ok: true, user, token });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
@@ -1,9 +1,56 @@
 // dev-server.js
 require("dotenv").config();
 const http = require("http");
+const routes = require("./routes");
+const { ApiError, sendError } = require("./lib/errors");
+const { instrumentRoute } = require("./lib/http");
+const { log } = require("./lib/log");
+const { startAlertScheduler } = require("./lib/alerts");
 
-// import your handler (adjust the path to your file)
-const handler = require("./api/observe-tonight"); // <-- CHANGE THIS PATH
+// decodeURIComponent without the URIError on malformed escapes ("%E0%A4%A")
+function decodeSegment(s) {
+  try {
+    return decodeURIComponent(s);
+  } catch {
+    return null;
+  }
+}
+
+// "/objects/:id" -> { id } for "/objects/M31", or null if the path doesn't match
+function matchPath(pattern, pathname) {
+  const want = pattern.split("/");
+  const got = pathname.split("/");
+  if (want.length !== got.length) return null;
+  const params = {};
+  for (let i = 0; i < want.length; i++) {
+    if (want[i].startsWith(":")) {
+      const value = decodeSegment(got[i]);
+      if (value === null) return null;
+      params[want[i].slice(1)] = value;
+    } else if (want[i] !== got[i]) return null;
+  }
+  return params;
+}
+
+const notFound = instrumentRoute(null, (req, res) => {
+  sendError(res, new ApiError(404, "not_found", { key: "errors.no_route", params: { method: req.method, path: req.url } }));
+});
+
+// like Vercel, query string and path params both end up in req.query
+function findRoute(url) {
+  const u = new URL(url, "http://localhost");
+  const pathname = u.pathname.replace(/^\/api(?=\/)/, "");
+  for (const r of routes) {
+    const params = matchPath(r.path, pathname);
+    if (!params) continue;
+    const query = {};
+    for (const [k, v] of u.searchParams) {
+      query[k] = k in query ? [].concat(query[k], v) : v;
+    }
+    return { handler: r.handler, query: { ...query, ...params } };
+  }
+  return null;
+}
 
 const server = http.createServer((req, res) => {
   // Minimal res helpers to mimic Vercel
@@ -24,14 +71,18 @@ const server = http.createServer((req, res) => {
   req.on("end", async () => {
     req.body = body || null;
     try {
-      await handler(req, res);
+      const route = findRoute(req.url);
+      if (!route) return notFound(req, res);
+      req.query = route.query;
+      await route.handler(req, res);
     } catch (e) {
-      res.status(500).json({ ok: false, error: e.message || "Unhandled error" });
+      sendError(res, e);
     }
   });
 });
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-  console.log(`Local dev server running on http://localhost:${PORT}`);
+  log.info("dev server listening", { url: `http://localhost:${PORT}` });
+  startAlertScheduler();
 });
\ No newline at end of file
@@ -0,0 +1,220 @@
+const { ApiError } = require("./errors");
+const { keyForSecret } = require("./api-keys");
+
+const DEFAULT_RATE_PER_MINUTE = 60;
+const DEFAULT_IP_RATE_PER_MINUTE = 120;
+const DEFAULT_AI_DAILY_QUOTA = 50;
+const DEFAULT_ANONYMOUS_AI_DAILY_QUOTA = 5;
+
+const DAY_SECONDS = 24 * 3600;
+// days of usage the admin endpoints report; counters live a day longer
+const USAGE_DAYS = 7;
+const USAGE_TTL_SECONDS = (USAGE_DAYS + 1) * DAY_SECONDS;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Token buckets and counters in this process's memory. Any object with the
+ * same async methods can replace it via setLimitStore (say, one backed by
+ * Redis so limits hold across instances):
+ *
+ *   take(key, { capacity, refillPerSecond }) -> { allowed, remaining, retryAfterSeconds }
+ *   increment(key, ttlSeconds?) -> new count
+ *   get(key) -> count (0 when unset or expired)
+ */
+function createMemoryLimitStore({ now = () => Date.now() } = {}) {
+  const buckets = new Map();
+  const counters = new Map();
+  let lastSweep = now();
+
+  // drop full buckets and expired counters once a minute
+  function sweep(t) {
+    if (t - lastSweep < 60 * 1000) return;
+    lastSweep = t;
+    for (const [k, b] of buckets) {
+      if (b.tokens + ((t - b.at) / 1000) * b.refillPerSecond >= b.capacity) buckets.delete(k);
+    }
+    for (const [k, c] of counters) {
+      if (c.expires !== null && c.expires <= t) counters.delete(k);
+    }
+  }
+
+  return {
+    async take(key, { capacity, refillPerSecond }) {
+      const t = now();
+      sweep(t);
+      const b = buckets.get(key) || { tokens: capacity, at: t };
+      const tokens = Math.min(capacity, b.tokens + ((t - b.at) / 1000) * refillPerSecond);
+      const allowed = tokens >= 1;
+      const left = allowed ? tokens - 1 : tokens;
+      buckets.set(key, { tokens: left, at: t, capacity, refillPerSecond });
+      return {
+        allowed,
+        remaining: Math.floor(left),
+        retryAfterSeconds: allowed ? 0 : Math.ceil((1 - left) / refillPerSecond),
+      };
+    },
+
+    async increment(key, ttlSeconds) {
+      const t = now();
+      sweep(t);
+      const c = counters.get(key);
+      const live = c && (c.expires === null || c.expires > t);
+      const next = {
+        count: (live ? c.count : 0) + 1,
+        expires: live ? c.expires : ttlSeconds ? t + ttlSeconds * 1000 : null,
+      };
+      counters.set(key, next);
+      return next.count;
+    },
+
+    async get(key) {
+      const c = counters.get(key);
+      return c && (c.expires === null || c.expires > now()) ? c.count : 0;
+    },
+  };
+}
+
+let LIMITS;
+
+function getLimitStore() {
+  if (!LIMITS) LIMITS = createMemoryLimitStore();
+  return LIMITS;
+}
+
+function setLimitStore(store) {
+  LIMITS = store;
+}
+
+// X-Forwarded-For is only trusted behind a proxy that sets it (Vercel does)
+function clientIp(req) {
+  if (process.env.TRUST_PROXY || process.env.VERCEL) {
+    const forwarded = String(req.headers?.["x-forwarded-for"] || "").split(",")[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket?.remoteAddress || "unknown";
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight() {
+  const d = new Date();
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1)).toISOString();
+}
+
+// counters are per API key, or per IP for clients without one
+function usageKey(client, field, date = today()) {
+  return `usage:${client.apiKey ? `key:${client.apiKey.id}` : `ip:${client.ip}`}:${date}:${field}`;
+}
+
+async function takeOrThrow(res, bucket, perMinute) {
+  const r = await getLimitStore().take(bucket, { capacity: perMinute, refillPerSecond: perMinute / 60 });
+  res.setHeader("X-RateLimit-Limit", perMinute);
+  res.setHeader("X-RateLimit-Remaining", r.remaining);
+  if (!r.allowed) {
+    res.setHeader("Retry-After", r.retryAfterSeconds);
+    throw new ApiError(429, "rate_limited", {
+      key: "errors.rate_limited",
+      params: { seconds: r.retryAfterSeconds },
+    }, { details: { retry_after_seconds: r.retryAfterSeconds } });
+  }
+}
+
+/**
+ * Identify the caller by `X-API-Key` (required when REQUIRE_API_KEY=true)
+ * and spend one token from its per-key and per-IP buckets. Returns
+ * { apiKey, ip }, apiKey being null for anonymous callers. Throws 401 for a
+ * missing, unknown or revoked key and 429 when a bucket is empty.
+ *
+ * RATE_LIMIT_PER_MINUTE (per key, unless the key sets its own) and
+ * RATE_LIMIT_IP_PER_MINUTE set the refill rates; a bucket holds one minute's
+ * worth of requests.
+ */
+async function requireClient(req, res) {
+  const ip = clientIp(req);
+  const secret = req.headers?.["x-api-key"];
+  let apiKey = null;
+
+  // before the key lookup, so guessing keys is rate limited too
+  await takeOrThrow(res, `ip:${ip}`, envNumber("RATE_LIMIT_IP_PER_MINUTE", DEFAULT_IP_RATE_PER_MINUTE));
+
+  if (secret) {
+    apiKey = await keyForSecret(String(secret).trim());
+    if (!apiKey) throw new ApiError(401, "unauthorized", { key: "errors.api_key_invalid" });
+    if (apiKey.revoked_at) throw new ApiError(401, "unauthorized", { key: "errors.api_key_revoked" });
+  } else if (process.env.REQUIRE_API_KEY === "true") {
+    throw new ApiError(401, "unauthorized", { key: "errors.api_key_missing" });
+  }
+
+  if (apiKey) {
+    const perMinute = apiKey.rate_per_minute ?? envNumber("RATE_LIMIT_PER_MINUTE", DEFAULT_RATE_PER_MINUTE);
+    await takeOrThrow(res, `key:${apiKey.id}`, perMinute);
+  }
+
+  const client = { apiKey, ip };
+  await getLimitStore().increment(usageKey(client, "requests"), USAGE_TTL_SECONDS);
+  return client;
+}
+
+/**
+ * Where `client` stands against its daily AI-plan quota (AI_DAILY_QUOTA per
+ * key unless the key sets its own, AI_DAILY_QUOTA_ANONYMOUS per IP):
+ * { allowed, limit, used, resets_at }. Days are UTC.
+ */
+async function aiQuota(client) {
+  const limit = client.apiKey
+    ? client.apiKey.ai_daily_quota ?? envNumber("AI_DAILY_QUOTA", DEFAULT_AI_DAILY_QUOTA)
+    : envNumber("AI_DAILY_QUOTA_ANONYMOUS", DEFAULT_ANONYMOUS_AI_DAILY_QUOTA);
+  const used = await getLimitStore().get(usageKey(client, "ai_calls"));
+  return { allowed: used < limit, limit, used, resets_at: nextUtcMidnight() };
+}
+
+/**
+ * Count one AI plan against `client`'s quota before it goes to the provider,
+ * so calls that fail or time out count too. Returns aiQuota's shape; when
+ * `allowed` is false nothing was reserved and the call must not be made.
+ */
+async function reserveAiCall(client) {
+  const quota = await aiQuota(client);
+  if (!quota.allowed) return quota;
+  // another request may have taken the last call since the check
+  const used = await getLimitStore().increment(usageKey(client, "ai_calls"), USAGE_TTL_SECONDS);
+  return { ...quota, allowed: used <= quota.limit, used: Math.min(used, quota.limit) };
+}
+
+/**
+ * Request and AI-call counts for an API key record over the last
+ * USAGE_DAYS days (newest first), and its AI quota.
+ */
+async function keyUsage(apiKey) {
+  const client = { apiKey };
+  const limits = getLimitStore();
+  const days = [];
+  for (let i = 0; i < USAGE_DAYS; i++) {
+    const date = new Date(Date.now() - i * DAY_SECONDS * 1000).toISOString().slice(0, 10);
+    days.push({
+      date,
+      requests: await limits.get(usageKey(client, "requests", date)),
+      ai_calls: await limits.get(usageKey(client, "ai_calls", date)),
+    });
+  }
+  return {
+    ai_daily_quota: apiKey.ai_daily_quota ?? envNumber("AI_DAILY_QUOTA", DEFAULT_AI_DAILY_QUOTA),
+    rate_per_minute: apiKey.rate_per_minute ?? envNumber("RATE_LIMIT_PER_MINUTE", DEFAULT_RATE_PER_MINUTE),
+    days,
+  };
+}
+
+module.exports = {
+  createMemoryLimitStore,
+  getLimitStore,
+  keyUsage,
+  requireClient,
+  reserveAiCall,
+  setLimitStore,
+};
@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { ApiError } = require("./errors");
+
+const TOKEN_PREFIX = "ast_";
+
+/**
+ * Users and their API tokens:
+ *
+ *   { users: [{ id, name, email, created_at, token_hash }] }
+ *
+ * Only a SHA-256 of each token is stored; the token itself is shown once,
+ * when the user is created or the token is rotated.
+ */
+function store() {
+  return getStore("accounts", { users: [] });
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function newToken() {
+  return TOKEN_PREFIX + crypto.randomBytes(24).toString("base64url");
+}
+
+function publicUser(u) {
+  const { token_hash, ...rest } = u;
+  return rest;
+}
+
+async function createUser({ name, email }) {
+  const token = newToken();
+  const user = {
+    id: crypto.randomUUID(),
+    name,
+    email: email ?? null,
+    created_at: new Date().toISOString(),
+    token_hash: hashToken(token),
+  };
+  await store().update(doc => { doc.users.push(user); });
+  return { user: publicUser(user), token };
+}
+
+/**
+ * User owning `token`, or null.
+ */
+async function userForToken(token) {
+  if (typeof token !== "string" || !token.startsWith(TOKEN_PREFIX)) return null;
+  const h = hashToken(token);
+  const doc = await store().read();
+  const u = doc.users.find(x => x.token_hash === h);
+  return u ? publicUser(u) : null;
+}
+
+/**
+ * Replace the user's token; the old one stops working immediately.
+ */
+async function rotateToken(userId) {
+  const token = newToken();
+  await store().update(doc => {
+    const u = doc.users.find(x => x.id === userId);
+    if (!u) throw new ApiError(404, "not_found", { key: "errors.not_found.user", params: { id: userId } });
+    u.token_hash = hashToken(token);
+  });
+  return token;
+}
+
+module.exports = {
+  createUser,
+  rotateToken,
+  userForToken,
+};
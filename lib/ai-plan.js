@@ -0,0 +1,270 @@
+const crypto = require("crypto");
+const { UpstreamError } = require("./errors");
+const { validate } = require("./validation");
+const { getLlmProvider } = require("./llm");
+const { t } = require("./i18n");
+const { recordCacheLookup, timeUpstream } = require("./metrics");
+
+const MAX_PROMPT_TARGETS = 8;
+
+// plans are cached per location, night and setup for AI_PLAN_CACHE_TTL_SECONDS
+const CACHE_DECIMALS = 2;
+const DEFAULT_CACHE_TTL_SECONDS = 6 * 3600;
+const CACHE = new Map();
+
+/**
+ * What the model must answer. Also sent as the structured-output schema, so
+ * it sticks to keywords OpenAI's strict mode accepts.
+ */
+const AI_PLAN_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["summary", "targets", "warnings"],
+  properties: {
+    summary: { type: "string" },
+    // in observing order
+    targets: {
+      type: "array",
+      maxItems: MAX_PROMPT_TARGETS,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        required: ["id", "tip"],
+        properties: {
+          id: { type: "string" },
+          tip: { type: "string" },
+        },
+      },
+    },
+    warnings: { type: "array", maxItems: 5, items: { type: "string" } },
+  },
+};
+
+const SYSTEM_PROMPT =
+  "You are an astronomy observing assistant. Answer with a JSON object: " +
+  "`summary` (one or two sentences on the night), " +
+  "`targets` (what to observe, in the order to observe it; each `id` MUST be an id from the candidate list, " +
+  "with a short practical `tip` such as eyepiece, what to look for or when), " +
+  "and `warnings` (conditions that limit the night; may be empty). " +
+  "If the verdict is bad, pick at most 2 targets and say observing is unlikely. " +
+  "If the Moon impact on deep-sky is moderate or severe, say so and steer away from faint galaxies/nebulae. " +
+  "Under a Bortle 7-9 sky, do not pick faint galaxies or nebulae.";
+
+// appended when the user is imaging rather than observing
+const IMAGING_PROMPT =
+  "The user is imaging with a camera, not observing visually: pick targets that frame well and " +
+  "stay up long in clear sky, and make each `tip` about filter, framing, exposure or the meridian flip. " +
+  "The Bortle and Moon rules above do not apply to emission nebulae shot through narrowband filters.";
+
+function skyBrightnessLine(skyBrightness) {
+  if (!skyBrightness) return "unknown";
+  return `Bortle ${skyBrightness.bortle} (${skyBrightness.label}), SQM ${skyBrightness.sqm}, ` +
+    `naked-eye limit ~${skyBrightness.naked_eye_limiting_magnitude}` +
+    (skyBrightness.source === "estimate" ? " (estimated from a coarse map)" : "");
+}
+
+function gearLine(gear) {
+  if (!gear) return "unknown";
+  if (gear.type === "binoculars") {
+    const name = gear.combinations[0]?.name || `${gear.aperture_mm} mm`;
+    return `${name} binoculars, limiting magnitude ~${gear.limiting_magnitude}`;
+  }
+  const eyepieces = gear.combinations.map(c => `${c.name} (${c.magnification}x)`).join(", ");
+  return `${gear.aperture_mm} mm ${gear.type || "telescope"}` +
+    (gear.focal_ratio ? ` f/${gear.focal_ratio}` : "") +
+    `, limiting magnitude ~${gear.limiting_magnitude}` +
+    (eyepieces ? `, eyepieces: ${eyepieces}` : "");
+}
+
+function imagingLine(imaging) {
+  return `${imaging.camera || "camera"} at ${imaging.focal_length_mm} mm` +
+    (imaging.focal_ratio ? ` f/${imaging.focal_ratio}` : "") +
+    `, field ${imaging.fov_width_arcmin}' x ${imaging.fov_height_arcmin}', ${imaging.image_scale_arcsec_per_px}"/px, ` +
+    `${imaging.mount} mount, imaging above ${imaging.min_altitude_deg}°`;
+}
+
+function imagingTargetLine(t) {
+  return `- id=${t.id} | ${t.designations.join(" = ")} ${t.common_name || ""} | ${t.object_type} | mag ${t.magnitude ?? "n/a"}` +
+    ` | fills ${t.frame_fill === null ? "n/a" : `${Math.round(t.frame_fill * 100)}%`} of frame` +
+    ` | usable ${t.usable_start?.slice(11)}-${t.usable_end?.slice(11)} (${t.usable_minutes} min` +
+    (t.clear_minutes !== null ? `, ${t.clear_minutes} min clear)` : ")") +
+    (t.meridian_flip ? ` | meridian flip ${t.meridian_flip.slice(11)}` : "") +
+    ` | ${t.filter}`;
+}
+
+function targetLine(t) {
+  const eyepiece = t.eyepiece ? ` | ${t.eyepiece.name} (${t.eyepiece.magnification}x)` : "";
+  if (t.kind !== "deep_sky") {
+    return `- id=${t.id} | ${t.common_name} | ${t.object_type} | mag ${t.magnitude} | ${t.apparent_diameter_arcsec}" | alt ${t.altitude_deg}° ${t.compass} | ${t.elongation_deg}° from Sun` + eyepiece;
+  }
+  return `- id=${t.id} | ${t.designations.join(" = ")} ${t.common_name || ""} | ${t.object_type} | mag ${t.magnitude ?? "n/a"} | alt ${t.altitude_deg}° ${t.compass}` +
+    (t.moon_separation_deg !== null ? ` | ${t.moon_separation_deg}° from Moon` : "") +
+    eyepiece;
+}
+
+function buildMessages({ tonight, gear, imaging, skyBrightness, location, weather, targets, twilight, moon, lang }) {
+  const targetsText = targets.map(imaging ? imagingTargetLine : targetLine).join("\n");
+  const language = t(lang, "meta.english_name");
+  const system = imaging ? `${SYSTEM_PROMPT} ${IMAGING_PROMPT}` : SYSTEM_PROMPT;
+  return [
+    { role: "system", content: `${system} Write summary, tips and warnings in ${language}.` },
+    {
+      role: "user",
+      content:
+        `Location: ${location?.label || "unknown"}
+Latitude/Longitude: ${location?.latlon || "unknown"}
+Hemisphere: ${location?.hemisphere || "unknown"}
+Local timezone: ${weather?.timezone || "unknown"}
+Local time (approx): ${location?.local_time || "unknown"}
+Darkness (${twilight?.darkness || "astronomical"}): ${twilight?.dark_start || "none"} to ${twilight?.dark_end || "none"}
+
+Conditions verdict: ${tonight.verdict ?? "unknown (no forecast for this night)"}
+Average cloud cover: ${tonight.avg_cloud_cover_percent}%
+Total precipitation: ${tonight.total_precip_mm} mm
+Transparency (1-5): ${tonight.transparency ?? "unknown"} (${tonight.transparency_label || "unknown"})
+Seeing (1-5): ${tonight.seeing ?? "unknown"} (${tonight.seeing_label || "unknown"})
+Dew risk: ${tonight.dew_risk || "unknown"}
+Moon: ${moon ? `${moon.phase_name}, ${Math.round(moon.illuminated_fraction * 100)}% lit, rises ${moon.moonrise || "n/a"}, sets ${moon.moonset || "n/a"}` : "unknown"}
+Moon up during best window: ${moon?.best_window ? (moon.best_window.up ? "yes" : "no") : "unknown"}
+Moon impact on deep-sky: ${moon?.deep_sky_impact || "unknown"}
+Sky brightness: ${skyBrightnessLine(skyBrightness)}
+Equipment: ${gearLine(gear)}
+${imaging ? `Camera: ${imagingLine(imaging)}\n` : ""}
+${imaging ? "Candidate imaging targets (ranked):" : "Candidate targets, all above the site's horizon during the best window (ranked):"}
+${targetsText || "- (none found)"}
+
+Task: ${imaging ? "Plan what to image tonight" : "Plan what to observe tonight"} for this setup and conditions.`,
+    },
+  ];
+}
+
+/**
+ * Keep only targets that are in tonight's candidate list, once each, in the
+ * model's order. Anything else is reported in `rejected_targets`.
+ */
+function checkAgainstTargets(answer, targets) {
+  const byId = new Map(targets.map(t => [t.id.toLowerCase(), t]));
+  const seen = new Set();
+  const picked = [];
+  const rejected = [];
+
+  for (const { id, tip } of answer.targets) {
+    const t = byId.get(id.trim().toLowerCase());
+    if (!t || seen.has(t.id)) {
+      rejected.push(id);
+      continue;
+    }
+    seen.add(t.id);
+    picked.push({
+      order: picked.length + 1,
+      id: t.id,
+      name: t.common_name || t.designations?.[0] || t.id,
+      kind: t.kind,
+      altitude_deg: t.altitude_deg ?? null,
+      tip: tip.trim(),
+    });
+  }
+
+  return {
+    summary: answer.summary.trim(),
+    targets: picked,
+    warnings: answer.warnings.map(w => w.trim()).filter(Boolean),
+    rejected_targets: rejected,
+  };
+}
+
+function cacheKey(provider, ctx, targets) {
+  const { location, twilight, tonight, moon, skyBrightness, gear, imaging, lang } = ctx;
+  const setup = JSON.stringify([
+    tonight.verdict,
+    moon?.deep_sky_impact,
+    skyBrightness?.bortle,
+    gearLine(gear),
+    imaging ? imagingLine(imaging) : null,
+    targets.map(t => t.id),
+  ]);
+  return [
+    provider.name,
+    provider.model,
+    location.lat.toFixed(CACHE_DECIMALS),
+    location.lon.toFixed(CACHE_DECIMALS),
+    twilight?.sunset?.slice(0, 10) ?? "no-night",
+    lang || "en",
+    crypto.createHash("sha256").update(setup).digest("hex").slice(0, 16),
+  ].join(":");
+}
+
+// an off-schema answer counts as a failed call in the upstream metrics
+function askModel(provider, ctx, targets) {
+  return timeUpstream("ai", provider.name, async () => {
+    const answer = await provider.completeJson({
+      messages: buildMessages({ ...ctx, targets }),
+      schema: AI_PLAN_SCHEMA,
+      schemaName: "observing_plan",
+      context: { ...ctx, targets },
+    });
+    try {
+      return validate(AI_PLAN_SCHEMA, answer);
+    } catch (e) {
+      throw new UpstreamError(provider.name, `LLM provider ${provider.name} returned an invalid plan: ${e.message}`, {
+        cause: e,
+      });
+    }
+  });
+}
+
+/**
+ * Structured AI observing plan, or null when no LLM provider is configured:
+ *
+ *   { summary, targets: [{ order, id, name, kind, altitude_deg, tip }],
+ *     warnings, rejected_targets, provider, model, cached }
+ *
+ * `ctx` is { tonight, gear, imaging, skyBrightness, location, weather,
+ * targets, twilight, moon, lang } from /observe-tonight (`imaging` is the
+ * camera setup in imaging mode, else null); the text is written in `lang`.
+ * `beforeCall`, if given, is awaited only when the plan isn't cached, just
+ * before the provider is asked; whatever it throws is passed on and the
+ * provider is not called.
+ * Throws UpstreamError if the provider fails or answers off-schema.
+ */
+async function getAiPlan(ctx, { beforeCall } = {}) {
+  const provider = getLlmProvider();
+  if (!provider) return null;
+
+  const targets = (ctx.targets || []).slice(0, MAX_PROMPT_TARGETS);
+  const key = cacheKey(provider, ctx, targets);
+  const ttlSeconds = Number(process.env.AI_PLAN_CACHE_TTL_SECONDS ?? DEFAULT_CACHE_TTL_SECONDS);
+
+  const now = Date.now();
+  for (const [k, v] of CACHE) {
+    if (v.expires <= now) CACHE.delete(k);
+  }
+
+  let cached = true;
+  let entry = CACHE.get(key);
+  recordCacheLookup("ai_plan", Boolean(entry));
+  if (!entry && beforeCall) {
+    await beforeCall();
+    // a concurrent request for the same plan may have started it meanwhile
+    entry = CACHE.get(key);
+  }
+  if (!entry) {
+    cached = false;
+    entry = { promise: askModel(provider, ctx, targets), expires: now + ttlSeconds * 1000 };
+    CACHE.set(key, entry);
+  }
+
+  let answer;
+  try {
+    answer = await entry.promise;
+  } catch (e) {
+    CACHE.delete(key); // don't cache failures
+    throw e;
+  }
+  return { ...checkAgainstTargets(answer, targets), provider: provider.name, model: provider.model, cached };
+}
+
+module.exports = {
+  AI_PLAN_SCHEMA,
+  getAiPlan,
+};
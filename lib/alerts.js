@@ -0,0 +1,218 @@
+const Astronomy = require("astronomy-engine");
+const { ApiError } = require("./errors");
+const { DEFAULT_DARKNESS, toLocalIso } = require("./twilight");
+const { toDateInWeatherTZ } = require("./conditions");
+const { assessNight } = require("./night");
+const { getWeather } = require("./weather");
+const { resolveObject } = require("./outlook");
+const { horizontalAt } = require("./object-detail");
+const { MIN_ALTITUDE_DEG } = require("./targets");
+const { createCollection, withSavedProfiles } = require("./profiles");
+const { checkWebhookUrl, deliverWebhook, newWebhookSecret } = require("./webhooks");
+const { log } = require("./log");
+
+const DEFAULT_MAX_CLOUD_PERCENT = 30;
+const DEFAULT_MIN_WINDOW_HOURS = 2;
+const DEFAULT_CHECK_MINUTES = 30;
+const HOUR_MS = 3600 * 1000;
+
+/**
+ * Clear-sky alert subscriptions. Besides the fields from schemas.alert each
+ * one has a webhook `secret` and the scheduler's bookkeeping:
+ * last_checked_at, last_match, last_error, last_notified_night and
+ * last_delivered_at.
+ */
+const alerts = createCollection("alerts", "alert");
+
+/**
+ * `prepare` hook for the alert handlers: checks the location, target and
+ * webhook URL, and keeps the secret and the last notified night across
+ * edits (so an edit doesn't send tonight's alert twice).
+ */
+async function prepareAlert(userId, body, existing) {
+  const { lat, lon } = await withSavedProfiles(userId, body);
+  if (body.target && !resolveObject(body.target, { lat, lon, date: new Date() })) {
+    throw new ApiError(400, "invalid_request", {
+      key: "errors.unknown_object",
+      params: { field: "target", value: body.target },
+    }, { field: "target" });
+  }
+  return {
+    ...body,
+    webhook_url: await checkWebhookUrl(body.webhook_url),
+    secret: existing?.secret ?? newWebhookSecret(),
+    last_notified_night: existing?.last_notified_night ?? null,
+  };
+}
+
+// highest altitude of `o` over the window, sampled hourly
+function maxAltitudeDuring(o, { lat, lon, start, end }) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  let best = -90;
+  for (let t = start.getTime(); t <= end.getTime(); t += HOUR_MS) {
+    best = Math.max(best, horizontalAt(o, observer, new Date(t)).altitude);
+  }
+  return Math.round(best * 10) / 10;
+}
+
+/**
+ * Run the forecast for the alert's next night and test it against the
+ * alert's thresholds. `match` is true only if every check passes; the Moon
+ * check also passes when the Moon is down during the clear window.
+ */
+async function evaluateAlert(alert, now = new Date()) {
+  const { lat, lon, site } = await withSavedProfiles(alert.user_id, {
+    site_id: alert.site_id,
+    lat: alert.lat,
+    lon: alert.lon,
+  });
+  const weather = await getWeather(lat, lon);
+  const tz = weather.timezone;
+  const minHours = alert.min_window_hours ?? DEFAULT_MIN_WINDOW_HOURS;
+  const { night, best_window, windowStart, moon } = assessNight({
+    lat,
+    lon,
+    weather,
+    from: now,
+    darkness: alert.darkness || DEFAULT_DARKNESS,
+    windowHours: minHours,
+    maxTargets: 0,
+  });
+
+  const checks = [{
+    check: "window_hours",
+    ok: !!best_window && best_window.window_hours >= minHours,
+    value: best_window?.window_hours ?? 0,
+    limit: minHours,
+  }];
+
+  let target = null;
+  if (best_window) {
+    const maxCloud = alert.max_cloud_percent ?? DEFAULT_MAX_CLOUD_PERCENT;
+    checks.push(
+      { check: "cloud_cover_percent", ok: best_window.avg_cloud_cover_percent <= maxCloud, value: best_window.avg_cloud_cover_percent, limit: maxCloud },
+      { check: "precipitation_mm", ok: best_window.total_precip_mm <= 0, value: best_window.total_precip_mm, limit: 0 },
+    );
+
+    if (alert.max_moon_percent !== undefined) {
+      const pct = Math.round(moon.illuminated_fraction * 100);
+      const down = moon.best_window?.up === false;
+      checks.push({ check: "moon_percent", ok: pct <= alert.max_moon_percent || down, value: pct, limit: alert.max_moon_percent });
+    }
+
+    if (alert.target) {
+      const o = resolveObject(alert.target, { lat, lon, date: windowStart });
+      const end = toDateInWeatherTZ(best_window.end, tz);
+      const alt = o ? maxAltitudeDuring(o, { lat, lon, start: windowStart, end }) : null;
+      target = o ? { id: o.id, designations: o.designations, common_name: o.common_name, max_altitude_deg: alt } : null;
+      checks.push({ check: "target_altitude_deg", ok: alt !== null && alt >= MIN_ALTITUDE_DEG, value: alt, limit: MIN_ALTITUDE_DEG });
+    }
+  }
+
+  return {
+    match: checks.every(c => c.ok),
+    night_of: night ? toLocalIso(night.sunset, tz).slice(0, 10) : null,
+    location: { lat, lon, site_id: site?.id ?? null, site_name: site?.name ?? null, timezone: tz },
+    best_window,
+    moon: moon && {
+      phase_name: moon.phase_name,
+      illuminated_fraction: moon.illuminated_fraction,
+      up_during_window: moon.best_window?.up ?? null,
+    },
+    target,
+    checks,
+  };
+}
+
+// scheduler bookkeeping; the alert may have been deleted mid-run
+async function record(alert, changes) {
+  try {
+    await alerts.patch(alert.user_id, alert.id, changes);
+  } catch (e) {
+    if (!(e instanceof ApiError && e.statusCode === 404)) throw e;
+  }
+}
+
+async function checkAll(now, deliver) {
+  const summary = { checked: 0, matched: 0, sent: 0, already_sent: 0, failed: 0 };
+
+  for (const alert of await alerts.all()) {
+    if (alert.active === false) continue;
+    summary.checked++;
+    const changes = { last_checked_at: now.toISOString(), last_error: null };
+
+    try {
+      const result = await evaluateAlert(alert, now);
+      changes.last_match = result.match;
+
+      // one notification per alert per night
+      if (result.match && alert.last_notified_night === result.night_of) {
+        summary.matched++;
+        summary.already_sent++;
+      } else if (result.match) {
+        summary.matched++;
+        const { checks, ...rest } = result;
+        await deliver(alert.webhook_url, alert.secret, {
+          type: "clear_sky",
+          alert: { id: alert.id, name: alert.name ?? null },
+          ...rest,
+          checks,
+          sent_at: new Date().toISOString(),
+        });
+        changes.last_notified_night = result.night_of;
+        changes.last_delivered_at = new Date().toISOString();
+        summary.sent++;
+      }
+    } catch (e) {
+      // not marked as notified, so the next run tries again
+      changes.last_error = e.message;
+      summary.failed++;
+      log.warn("alert check failed", { alert_id: alert.id, err: e });
+    }
+
+    await record(alert, changes);
+  }
+  return summary;
+}
+
+let running = null;
+
+/**
+ * Check every active alert once and send webhooks for new matches. A call
+ * made while a run is in progress shares that run, so overlapping ticks
+ * cannot notify twice.
+ *
+ * Returns { checked, matched, sent, already_sent, failed }.
+ */
+function runAlerts({ now = new Date(), deliver = deliverWebhook } = {}) {
+  if (!running) running = checkAll(now, deliver).finally(() => { running = null; });
+  return running;
+}
+
+/**
+ * Run alerts every ALERT_CHECK_MINUTES (default 30; 0 turns it off) inside a
+ * long-running server. Serverless deployments call /cron/alerts instead.
+ */
+function startAlertScheduler() {
+  const minutes = Number(process.env.ALERT_CHECK_MINUTES ?? DEFAULT_CHECK_MINUTES);
+  if (!(minutes > 0)) return null;
+
+  const timer = setInterval(async () => {
+    try {
+      const summary = await runAlerts();
+      if (summary.sent || summary.failed) log.info("alerts checked", summary);
+    } catch (e) {
+      log.error("alert check failed", { err: e });
+    }
+  }, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  alerts,
+  evaluateAlert,
+  prepareAlert,
+  runAlerts,
+  startAlertScheduler,
+};
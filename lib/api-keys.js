@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { ApiError } = require("./errors");
+
+const KEY_PREFIX = "astk_";
+
+/**
+ * Client API keys issued from the admin endpoints:
+ *
+ *   { keys: [{ id, name, key_hash, key_hint, created_at, revoked_at,
+ *              rate_per_minute, ai_daily_quota }] }
+ *
+ * `rate_per_minute` and `ai_daily_quota` override the server defaults when
+ * not null. Like user tokens, only a SHA-256 of the key is stored.
+ */
+function store() {
+  return getStore("api-keys", { keys: [] });
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function publicKey(k) {
+  const { key_hash, ...rest } = k;
+  return rest;
+}
+
+function notFound(id) {
+  return new ApiError(404, "not_found", { key: "errors.not_found.api_key", params: { id } });
+}
+
+async function issueKey({ name, rate_per_minute, ai_daily_quota }) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    key_hash: hashKey(key),
+    // enough to tell keys apart in listings
+    key_hint: `${key.slice(0, KEY_PREFIX.length + 4)}…`,
+    created_at: new Date().toISOString(),
+    revoked_at: null,
+    rate_per_minute: rate_per_minute ?? null,
+    ai_daily_quota: ai_daily_quota ?? null,
+  };
+  await store().update(doc => { doc.keys.push(record); });
+  return { apiKey: publicKey(record), key };
+}
+
+async function listKeys() {
+  const doc = await store().read();
+  return doc.keys.map(publicKey);
+}
+
+async function getKey(id) {
+  const doc = await store().read();
+  const k = doc.keys.find(x => x.id === id);
+  if (!k) throw notFound(id);
+  return publicKey(k);
+}
+
+/**
+ * Stop accepting the key. The record stays so its usage can still be read.
+ */
+async function revokeKey(id) {
+  return store().update(doc => {
+    const k = doc.keys.find(x => x.id === id);
+    if (!k) throw notFound(id);
+    k.revoked_at ??= new Date().toISOString();
+    return publicKey(k);
+  });
+}
+
+/**
+ * Key record for the secret `key` (revoked ones included), or null.
+ */
+async function keyForSecret(key) {
+  if (typeof key !== "string" || !key.startsWith(KEY_PREFIX)) return null;
+  const h = hashKey(key);
+  const doc = await store().read();
+  const k = doc.keys.find(x => x.key_hash === h);
+  return k ? publicKey(k) : null;
+}
+
+module.exports = {
+  getKey,
+  issueKey,
+  keyForSecret,
+  listKeys,
+  revokeKey,
+};
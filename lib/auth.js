@@ -0,0 +1,52 @@
+const crypto = require("crypto");
+const { ApiError } = require("./errors");
+const { userForToken } = require("./accounts");
+
+function bearerToken(req) {
+  const h = req.headers?.authorization;
+  if (typeof h !== "string") return null;
+  const m = /^Bearer\s+(\S+)$/i.exec(h.trim());
+  return m ? m[1] : null;
+}
+
+/**
+ * The user whose API token is in `Authorization: Bearer <token>`, or null
+ * when the request carries no token. A token that matches nobody is a 401.
+ */
+async function optionalUser(req) {
+  const token = bearerToken(req);
+  if (!token) return null;
+  const user = await userForToken(token);
+  if (!user) throw new ApiError(401, "unauthorized", { key: "errors.token_invalid" });
+  return user;
+}
+
+async function requireUser(req) {
+  const user = await optionalUser(req);
+  if (!user) throw new ApiError(401, "unauthorized", { key: "errors.token_missing" });
+  return user;
+}
+
+/**
+ * Whether the request carries `Authorization: Bearer <secret>`, compared in
+ * constant time.
+ */
+function hasBearerSecret(req, secret) {
+  const given = Buffer.from(String(req.headers?.authorization || ""));
+  const expected = Buffer.from(`Bearer ${secret}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// admin endpoints answer only `Authorization: Bearer <ADMIN_SECRET>`
+function requireAdmin(req) {
+  const secret = process.env.ADMIN_SECRET;
+  if (!secret) throw new ApiError(404, "not_found", { key: "errors.admin_not_configured" });
+  if (!hasBearerSecret(req, secret)) throw new ApiError(401, "unauthorized", { key: "errors.admin_secret_invalid" });
+}
+
+module.exports = {
+  hasBearerSecret,
+  optionalUser,
+  requireAdmin,
+  requireUser,
+};
@@ -0,0 +1,295 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Catalog registry. Every file is normalized on load to one object schema:
+ *
+ *   { id, designations, catalogs, common_name, type, object_type,
+ *     constellation, magnitude, size_major_arcmin, size_minor_arcmin,
+ *     ra_deg, dec_deg, surface_brightness }
+ *
+ * Objects listed in several catalogs (M31 = NGC 224) are merged into one,
+ * keeping the fields from the catalog registered first and filling in the
+ * ones it lacks. Loading fails if the copies disagree by more than the
+ * MAX_* limits below, so a bad entry is caught instead of silently winning.
+ * `complete: false` catalogs are subsets of the full list, as named.
+ *
+ * NGC/IC and Herschel 400 data come from the d3-celestial deep-sky files
+ * (BSD licence); the NGC/IC subset is every object there of magnitude 12
+ * or brighter, plus a few showpieces it gives too faint a magnitude.
+ */
+const CATALOGS = {
+  messier: { name: "Messier", file: "messier.json", complete: true, normalize: fromMessier },
+  caldwell: { name: "Caldwell", file: "caldwell.json", complete: true },
+  ngcic: { name: "NGC/IC to magnitude 12", file: "ngcic.json", complete: false },
+  herschel400: { name: "Herschel 400", file: "herschel400.json", complete: true },
+};
+
+// how far cross-listed copies may disagree (catalogs round and measure
+// differently, but not by this much)
+const MAX_MAGNITUDE_GAP = 1;
+const MAX_SIZE_RATIO = 2;
+const MAX_POSITION_GAP_DEG = 0.25;
+
+const DEFAULT_CATALOGS = ["messier"];
+
+// normalized type -> substrings of the free-text object_type that map to it
+const TYPE_RULES = [
+  ["planetary_nebula", ["planetary"]],
+  ["supernova_remnant", ["remnant"]],
+  ["galaxy", ["galaxy", "galaxies"]],
+  ["globular_cluster", ["globular"]],
+  ["nebula", ["nebula", "h ii"]],
+  ["open_cluster", ["open cluster"]],
+  ["star_cloud", ["star cloud"]],
+  ["asterism", ["asterism"]],
+  ["double_star", ["double"]],
+];
+
+const OBJECT_TYPES = [...TYPE_RULES.map(([type]) => type), "other"];
+
+let REGISTRY_CACHE = null;
+
+function blankToNull(v) {
+  if (v === undefined || v === null) return null;
+  const s = String(v).trim();
+  return s === "" || s === "—" || s === "-" ? null : s;
+}
+
+function numOrNull(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeType(objectType) {
+  // strip soft hyphens (Messier has "Super\u00adnova remnant")
+  const t = String(objectType || "").replace(/\u00ad/g, "").toLowerCase();
+  for (const [type, needles] of TYPE_RULES) {
+    if (needles.some(n => t.includes(n))) return type;
+  }
+  return "other";
+}
+
+function designationKey(d) {
+  return String(d).replace(/\s+/g, "").toUpperCase();
+}
+
+// mean surface brightness in mag/arcsec² over the object's ellipse
+function surfaceBrightness(mag, majorArcmin, minorArcmin) {
+  if (mag === null || majorArcmin === null) return null;
+  const minor = minorArcmin === null ? majorArcmin : minorArcmin;
+  const areaArcsec2 = (Math.PI / 4) * majorArcmin * minor * 3600;
+  if (!(areaArcsec2 > 0)) return null;
+  return Math.round((mag + 2.5 * Math.log10(areaArcsec2)) * 10) / 10;
+}
+
+// data/messier.json keeps its original field names
+function fromMessier(o) {
+  return {
+    id: o.messier_no,
+    designations: [o.messier_no, o.ngcic_no],
+    common_name: o.common_name,
+    object_type: o.object_type,
+    constellation: o.constellation,
+    magnitude: o.apparent_magnitude,
+    size_major_arcmin: o.size_major_arcmin,
+    size_minor_arcmin: o.size_minor_arcmin,
+    ra_deg: o.ra_deg,
+    dec_deg: o.dec_deg,
+  };
+}
+
+function validateObject(o, where) {
+  const fail = (msg) => {
+    throw new Error(`Invalid catalog entry ${where}: ${msg}`);
+  };
+  if (!o.id) fail("missing id");
+  if (!(o.ra_deg >= 0 && o.ra_deg < 360)) fail(`ra_deg out of range (${o.ra_deg})`);
+  if (!(o.dec_deg >= -90 && o.dec_deg <= 90)) fail(`dec_deg out of range (${o.dec_deg})`);
+  if (o.magnitude !== null && !(o.magnitude > -5 && o.magnitude < 25)) {
+    fail(`magnitude out of range (${o.magnitude})`);
+  }
+}
+
+function normalizeObject(raw, catalogId, where) {
+  const catalog = CATALOGS[catalogId];
+  const src = catalog.normalize ? catalog.normalize(raw) : raw;
+
+  const designations = [];
+  for (const d of [src.id, ...(src.designations || [])]) {
+    const clean = blankToNull(d);
+    if (clean && !designations.includes(clean)) designations.push(clean);
+  }
+
+  const magnitude = numOrNull(src.magnitude);
+  const major = numOrNull(src.size_major_arcmin);
+  const minor = numOrNull(src.size_minor_arcmin);
+
+  const o = {
+    id: blankToNull(src.id),
+    designations,
+    catalogs: [catalogId],
+    common_name: blankToNull(src.common_name),
+    type: src.type || normalizeType(src.object_type),
+    object_type: blankToNull(src.object_type),
+    constellation: blankToNull(src.constellation),
+    magnitude,
+    size_major_arcmin: major,
+    size_minor_arcmin: minor,
+    ra_deg: numOrNull(src.ra_deg),
+    dec_deg: numOrNull(src.dec_deg),
+    surface_brightness: numOrNull(src.surface_brightness) ?? surfaceBrightness(magnitude, major, minor),
+  };
+
+  validateObject(o, where);
+  return o;
+}
+
+function readCatalogFile(catalogId) {
+  const p = path.join(process.cwd(), "data", CATALOGS[catalogId].file);
+  const raw = JSON.parse(fs.readFileSync(p, "utf8"));
+  if (!Array.isArray(raw)) throw new Error(`Catalog ${catalogId} must be a JSON array`);
+  return raw.map((r, i) => normalizeObject(r, catalogId, `${catalogId}[${i}]`));
+}
+
+function checkAgreement(target, o) {
+  const fail = (field, a, b) => {
+    throw new Error(`Catalog conflict for ${target.id} (${o.catalogs[0]} ${o.id}): ${field} ${a} vs ${b}`);
+  };
+  if (target.magnitude !== null && o.magnitude !== null &&
+    Math.abs(target.magnitude - o.magnitude) > MAX_MAGNITUDE_GAP) {
+    fail("magnitude", target.magnitude, o.magnitude);
+  }
+  for (const k of ["size_major_arcmin", "size_minor_arcmin"]) {
+    if (target[k] === null || o[k] === null) continue;
+    const ratio = Math.max(target[k], o[k]) / Math.min(target[k], o[k]);
+    if (ratio > MAX_SIZE_RATIO) fail(k, target[k], o[k]);
+  }
+  const dRa = (((o.ra_deg - target.ra_deg) % 360) + 540) % 360 - 180;
+  const gap = Math.hypot(dRa * Math.cos((target.dec_deg * Math.PI) / 180), o.dec_deg - target.dec_deg);
+  if (gap > MAX_POSITION_GAP_DEG) fail("position", `${target.ra_deg},${target.dec_deg}`, `${o.ra_deg},${o.dec_deg}`);
+}
+
+function mergeInto(target, o) {
+  checkAgreement(target, o);
+  for (const d of o.designations) {
+    if (!target.designations.includes(d)) target.designations.push(d);
+  }
+  for (const c of o.catalogs) {
+    if (!target.catalogs.includes(c)) target.catalogs.push(c);
+  }
+  for (const [k, v] of Object.entries(o)) {
+    if (target[k] === null && v !== null) target[k] = v;
+  }
+}
+
+/**
+ * Merge normalized objects, listed in catalog order, into one entry per
+ * object (any shared designation). Throws on a cross-listing conflict,
+ * including one entry that matches two separate objects.
+ */
+function mergeObjects(list) {
+  const objects = [];
+  const byDesignation = new Map();
+
+  for (const o of list) {
+    const matches = [...new Set(o.designations.map(d => byDesignation.get(designationKey(d))).filter(Boolean))];
+    if (matches.length > 1) {
+      throw new Error(`Catalog conflict for ${o.id} (${o.catalogs[0]}): one entry for ${matches.map(m => m.id).join(" and ")}`);
+    }
+    const existing = matches[0];
+
+    if (existing) {
+      mergeInto(existing, o);
+    } else {
+      objects.push(o);
+    }
+    const entry = existing || o;
+    for (const d of entry.designations) byDesignation.set(designationKey(d), entry);
+  }
+  return { objects, byDesignation };
+}
+
+// every registered catalog, loaded and merged once
+function loadRegistry() {
+  if (!REGISTRY_CACHE) REGISTRY_CACHE = mergeObjects(Object.keys(CATALOGS).flatMap(readCatalogFile));
+  return REGISTRY_CACHE;
+}
+
+/**
+ * Objects that belong to at least one of the given catalogs.
+ */
+function loadCatalogs(catalogIds = DEFAULT_CATALOGS) {
+  const { objects } = loadRegistry();
+  return objects.filter(o => o.catalogs.some(c => catalogIds.includes(c)));
+}
+
+function findObject(designation) {
+  return loadRegistry().byDesignation.get(designationKey(designation)) || null;
+}
+
+function matchesText(o, q) {
+  const key = designationKey(q);
+  const text = q.trim().toLowerCase();
+  return o.designations.some(d => designationKey(d).includes(key)) ||
+    (o.common_name !== null && o.common_name.toLowerCase().includes(text));
+}
+
+/**
+ * Registry objects matching every given filter. `q` is a free-text search
+ * over designations (spacing-insensitive, "m31" finds M31) and common names;
+ * an exact designation match is listed first.
+ */
+function searchObjects({
+  q,
+  constellation,
+  type,
+  catalog,
+  minMagnitude,
+  maxMagnitude,
+  minSizeArcmin,
+  maxSizeArcmin,
+} = {}) {
+  const inRange = (v, lo, hi) =>
+    (lo === undefined && hi === undefined) ||
+    (v !== null && (lo === undefined || v >= lo) && (hi === undefined || v <= hi));
+
+  const found = loadRegistry().objects.filter(o =>
+    (!q || matchesText(o, q)) &&
+    (!constellation || (o.constellation || "").toLowerCase() === constellation.toLowerCase()) &&
+    (!type || o.type === type) &&
+    (!catalog || o.catalogs.includes(catalog)) &&
+    inRange(o.magnitude, minMagnitude, maxMagnitude) &&
+    inRange(o.size_major_arcmin, minSizeArcmin, maxSizeArcmin)
+  );
+
+  if (q) {
+    const exact = findObject(q);
+    const i = found.indexOf(exact);
+    if (i > 0) found.unshift(...found.splice(i, 1));
+  }
+  return found;
+}
+
+function listCatalogs() {
+  const { objects } = loadRegistry();
+  return Object.entries(CATALOGS).map(([id, c]) => ({
+    id,
+    name: c.name,
+    complete: c.complete,
+    object_count: objects.filter(o => o.catalogs.includes(id)).length,
+  }));
+}
+
+module.exports = {
+  CATALOGS,
+  DEFAULT_CATALOGS,
+  OBJECT_TYPES,
+  findObject,
+  listCatalogs,
+  loadCatalogs,
+  mergeObjects,
+  normalizeType,
+  searchObjects,
+};
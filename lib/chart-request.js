@@ -0,0 +1,32 @@
+const { DateTime, IANAZone } = require("luxon");
+const { ApiError } = require("./errors");
+const { requireUser } = require("./auth");
+const { getWeather } = require("./weather");
+const { describeEquipment } = require("./equipment");
+const { resolveSky } = require("./light-pollution");
+const { withSavedProfiles } = require("./profiles");
+
+/**
+ * Location, time and gear shared by the chart and marathon endpoints, from
+ * a validated query: site_id/equipment_id (need an API token) or lat/lon, and
+ * `date` read as local time at the site unless it has an offset.
+ */
+async function chartSetup(req, query) {
+  const user = query.site_id || query.equipment_id ? await requireUser(req) : null;
+  const { lat, lon, site, equipment, bortle, sqm } = await withSavedProfiles(user?.id, query);
+
+  if (query.tz !== undefined && !IANAZone.isValidZone(query.tz)) {
+    throw new ApiError(400, "invalid_request", { key: "errors.invalid_time_zone", params: { field: "tz" } }, {
+      field: "tz",
+    });
+  }
+  const tz = query.tz || (await getWeather(lat, lon)).timezone;
+  const date = query.date ? DateTime.fromISO(query.date, { zone: tz }).toJSDate() : new Date();
+  const skyBrightness = resolveSky({ lat, lon, bortle, sqm });
+
+  return { lat, lon, site, tz, date, skyBrightness, gear: describeEquipment(equipment, skyBrightness) };
+}
+
+module.exports = {
+  chartSetup,
+};
@@ -0,0 +1,113 @@
+const { DateTime } = require("luxon");
+const { summarizeSkyQuality } = require("./sky-quality");
+
+// Weather verdict and best observing window over a night's dark hours.
+
+function toDateInWeatherTZ(isoLocal, tz) {
+  // isoLocal looks like: "2026-02-08T22:00"
+  // Interpret it as time in that timezone
+  return DateTime.fromISO(isoLocal, { zone: tz || "UTC" }).toJSDate();
+}
+
+const DEW_PENALTY = { low: 0, moderate: 2, high: 5 };
+
+function computeBestWindow(weather, darkIdx, sky, windowHours = 2) {
+  if (!darkIdx || darkIdx.length === 0) return null;
+  windowHours = Math.min(windowHours, darkIdx.length);
+
+  const pick = (arr) => darkIdx.map(i => arr[i]);
+  const times = pick(weather.hourly.time);
+  const clouds = pick(weather.hourly.cloud_cover);
+  const precip = pick(weather.hourly.precipitation);
+  const wind = pick(weather.hourly.wind_speed_10m);
+
+  // score: lower is better
+  // clouds dominates, precipitation is heavily penalized, then transparency
+  // (cirrus/haze), seeing, dew and wind
+  const scoreAt = (i) => {
+    const c = avg(clouds.slice(i, i + windowHours));
+    const p = sum(precip.slice(i, i + windowHours));
+    const w = avg(wind.slice(i, i + windowHours));
+    const q = summarizeSkyQuality(sky.slice(i, i + windowHours));
+    return c * 1.0 + p * 100.0 + w * 0.2 +
+      (5 - q.transparency) * 6.0 +
+      (5 - q.seeing) * 2.0 +
+      (DEW_PENALTY[q.dew_risk] || 0);
+  };
+
+  let bestI = 0;
+  let bestScore = scoreAt(0);
+
+  for (let i = 1; i <= times.length - windowHours; i++) {
+    const s = scoreAt(i);
+    if (s < bestScore) {
+      bestScore = s;
+      bestI = i;
+    }
+  }
+
+  const start = times[bestI];
+  const end = times[bestI + windowHours - 1];
+
+  return {
+    start,
+    end,
+    window_hours: windowHours,
+    avg_cloud_cover_percent: Math.round(avg(clouds.slice(bestI, bestI + windowHours))),
+    total_precip_mm: round1(sum(precip.slice(bestI, bestI + windowHours))),
+    avg_wind_kmh: round1(avg(wind.slice(bestI, bestI + windowHours))),
+    ...summarizeSkyQuality(sky.slice(bestI, bestI + windowHours)),
+    score: round1(bestScore),
+  };
+}
+
+function avg(arr) {
+  return arr.reduce((a, b) => a + b, 0) / (arr.length || 1);
+}
+function sum(arr) {
+  return arr.reduce((a, b) => a + b, 0);
+}
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+function summarizeTonight(weather, darkIdx, darkness, sky) {
+  if (!darkIdx || darkIdx.length === 0) {
+    return {
+      verdict: "bad",
+      avg_cloud_cover_percent: null,
+      total_precip_mm: null,
+      ...summarizeSkyQuality([]),
+      dark_hours_in_forecast: 0,
+      note: `No ${darkness} darkness within the forecast horizon.`,
+    };
+  }
+
+  const clouds = darkIdx.map(i => weather.hourly.cloud_cover[i]);
+  const precip = darkIdx.map(i => weather.hourly.precipitation[i]);
+
+  const avgCloud = clouds.reduce((a, b) => a + b, 0) / clouds.length;
+  const totalPrecip = precip.reduce((a, b) => a + b, 0);
+
+  const quality = summarizeSkyQuality(sky);
+
+  let verdict = "ok";
+  if (avgCloud > 80 || totalPrecip > 1) verdict = "bad";
+  else if (avgCloud > 50) verdict = "mixed";
+  // "clear" behind thick cirrus or haze is not a good deep-sky night
+  else if (quality.transparency !== null && quality.transparency < 2.5) verdict = "mixed";
+
+  return {
+    verdict,
+    avg_cloud_cover_percent: Math.round(avgCloud),
+    total_precip_mm: Math.round(totalPrecip * 10) / 10,
+    ...quality,
+    dark_hours_in_forecast: darkIdx.length,
+  };
+}
+
+module.exports = {
+  computeBestWindow,
+  summarizeTonight,
+  toDateInWeatherTZ,
+};
@@ -0,0 +1,175 @@
+// Optics model: limiting magnitude, useful magnification range and the
+// eyepiece (+ Barlow) combinations a request's equipment can produce.
+
+const TELESCOPE_TYPES = ["refractor", "reflector", "dobsonian", "sct", "maksutov", "binoculars"];
+const MOUNT_TYPES = ["equatorial", "altaz"];
+
+// a dark-adapted eye's pupil; exit pupils wider than this waste light
+const MAX_EXIT_PUPIL_MM = 7;
+const DEFAULT_APPARENT_FOV_DEG = 50;
+// above this the atmosphere, not the optics, limits detail on most nights
+const SEEING_MAX_MAGNIFICATION = 250;
+// leave some sky around an object when picking a framing eyepiece
+const FRAMING_FACTOR = 3;
+// faint diffuse objects fade at small exit pupils; compact bright ones take power
+const MIN_EXIT_PUPIL_MM = {
+  planetary_nebula: 1,
+  globular_cluster: 1,
+};
+
+// extended objects spread their light, so they need a brighter integrated
+// magnitude than a star to be seen at the same limiting magnitude
+const EXTENDED_MARGIN_MAG = {
+  galaxy: 2.5,
+  nebula: 2.5,
+  supernova_remnant: 2.5,
+  planetary_nebula: 1.5,
+  globular_cluster: 1.5,
+  open_cluster: 1.0,
+};
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+// visual limiting magnitude: 7.5 + 5·log10(D in cm) under a sky where the
+// naked eye reaches 6.5, shifted for a brighter or darker `skyBrightness`
+function limitingMagnitude(apertureMm, skyBrightness) {
+  const skyShift = skyBrightness ? skyBrightness.naked_eye_limiting_magnitude - 6.5 : 0;
+  return round1(7.5 + 5 * Math.log10(apertureMm / 10) + skyShift);
+}
+
+function combo({ name, eyepiece, barlow, magnification, trueFovDeg, apertureMm }) {
+  return {
+    name,
+    eyepiece,
+    barlow,
+    magnification: round1(magnification),
+    true_fov_deg: round2(trueFovDeg),
+    exit_pupil_mm: round1(apertureMm / magnification),
+  };
+}
+
+function telescopeCombos(e, maxMag) {
+  if (!e.focal_length_mm) return [];
+  const barlows = [null, ...(e.barlows || [])];
+  const out = [];
+
+  for (const ep of e.eyepieces || []) {
+    const epName = ep.name || `${ep.focal_length_mm}mm`;
+    for (const b of barlows) {
+      const factor = b ? b.factor : 1;
+      const magnification = (e.focal_length_mm * factor) / ep.focal_length_mm;
+      if (magnification > maxMag) continue;
+      if (e.aperture_mm / magnification > MAX_EXIT_PUPIL_MM) continue;
+
+      const bName = b ? b.name || `${b.factor}x Barlow` : null;
+      out.push(combo({
+        name: bName ? `${epName} + ${bName}` : epName,
+        eyepiece: epName,
+        barlow: bName,
+        magnification,
+        trueFovDeg: (ep.apparent_fov_deg ?? DEFAULT_APPARENT_FOV_DEG) / magnification,
+        apertureMm: e.aperture_mm,
+      }));
+    }
+  }
+  return out.sort((a, b) => a.magnification - b.magnification);
+}
+
+function binocularCombos(e) {
+  if (!e.magnification) return [];
+  return [combo({
+    name: `${e.magnification}x${e.aperture_mm}`,
+    eyepiece: null,
+    barlow: null,
+    magnification: e.magnification,
+    trueFovDeg: e.field_deg ?? DEFAULT_APPARENT_FOV_DEG / e.magnification,
+    apertureMm: e.aperture_mm,
+  })];
+}
+
+/**
+ * Derived optics for the request's `equipment` under `skyBrightness` (from resolveSky).
+ * Returns null when no aperture was given (nothing to model; targets are then
+ * not filtered by gear).
+ */
+function describeEquipment(e, skyBrightness) {
+  if (!e || typeof e.aperture_mm !== "number") return null;
+
+  const binoculars = e.type === "binoculars";
+  const maxUseful = Math.round(2 * e.aperture_mm);
+  const combos = binoculars ? binocularCombos(e) : telescopeCombos(e, maxUseful);
+
+  return {
+    type: e.type ?? null,
+    aperture_mm: e.aperture_mm,
+    focal_length_mm: binoculars ? null : e.focal_length_mm ?? null,
+    focal_ratio: !binoculars && e.focal_length_mm ? round1(e.focal_length_mm / e.aperture_mm) : null,
+    limiting_magnitude: limitingMagnitude(e.aperture_mm, skyBrightness),
+    max_useful_magnification: maxUseful,
+    min_useful_magnification: Math.ceil(e.aperture_mm / MAX_EXIT_PUPIL_MM),
+    combinations: combos,
+  };
+}
+
+// apparent size in arcminutes, or null when the catalog doesn't have one
+function sizeArcmin(o) {
+  if (typeof o.size_major_arcmin === "number") return o.size_major_arcmin;
+  if (typeof o.apparent_diameter_arcsec === "number") return o.apparent_diameter_arcsec / 60;
+  return null;
+}
+
+/**
+ * Magnitudes to spare between `o` and what the gear can reach (negative: out
+ * of reach). Null without gear or without a catalog magnitude.
+ */
+function magnitudeHeadroom(gear, o) {
+  if (!gear || typeof o.magnitude !== "number") return null;
+  return gear.limiting_magnitude - (EXTENDED_MARGIN_MAG[o.type] ?? 0) - o.magnitude;
+}
+
+/**
+ * Best combination for `o`: planets get the most magnification the seeing
+ * allows, everything else the tightest field that still frames the object
+ * at a bright enough exit pupil (or the widest field when nothing does).
+ * Returns { eyepiece, fits_in_field }; both null when there is nothing to pick from.
+ */
+function recommendEyepiece(gear, o) {
+  const combos = gear?.combinations || [];
+  if (combos.length === 0) return { eyepiece: null, fits_in_field: null };
+
+  const size = sizeArcmin(o);
+  let pick;
+
+  if (o.type === "planet") {
+    const ok = combos.filter(c => c.magnification <= SEEING_MAX_MAGNIFICATION);
+    pick = ok.length ? ok[ok.length - 1] : combos[0];
+  } else if (size !== null) {
+    const minPupil = MIN_EXIT_PUPIL_MM[o.type] ?? 2;
+    const framing = combos.filter(c =>
+      c.true_fov_deg * 60 >= size * FRAMING_FACTOR && c.exit_pupil_mm >= minPupil
+    );
+    pick = framing.length ? framing[framing.length - 1] : combos[0];
+  } else {
+    pick = combos[0];
+  }
+
+  return {
+    eyepiece: pick,
+    fits_in_field: size === null ? null : size <= pick.true_fov_deg * 60,
+  };
+}
+
+module.exports = {
+  MOUNT_TYPES,
+  TELESCOPE_TYPES,
+  describeEquipment,
+  limitingMagnitude,
+  magnitudeHeadroom,
+  recommendEyepiece,
+};
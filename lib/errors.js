@@ -0,0 +1,84 @@
+const { DEFAULT_LANG, requestLang, t } = require("./i18n");
+const { log } = require("./log");
+
+/**
+ * Error with an HTTP status and a stable machine-readable code.
+ * Every endpoint answers errors as:
+ *
+ *   { ok: false, error: { code, message, field, details } }
+ *
+ * `message` is plain text or a translation { key, params }; the latter is
+ * sent in the caller's language. `detailMessages` does the same for
+ * `details[i].message`.
+ */
+class ApiError extends Error {
+  constructor(statusCode, code, message, { field = null, details = null, detailMessages = null } = {}) {
+    const translation = typeof message === "object" ? message : null;
+    super(translation ? t(DEFAULT_LANG, translation.key, translation.params) : message);
+    this.name = "ApiError";
+    this.statusCode = statusCode;
+    this.code = code;
+    this.field = field;
+    this.details = details;
+    this.translation = translation;
+    this.detailMessages = detailMessages;
+  }
+
+  localized(lang) {
+    const tr = (m, fallback) => (m ? t(lang, m.key, m.params, fallback) : fallback);
+    return {
+      message: tr(this.translation, this.message),
+      details: this.detailMessages && Array.isArray(this.details)
+        ? this.details.map((d, i) => ({ ...d, message: tr(this.detailMessages[i], d.message) }))
+        : this.details,
+    };
+  }
+}
+
+/**
+ * An upstream service (weather, AI, ...) failed or timed out.
+ * Handlers turn this into a 502 that names the provider.
+ */
+class UpstreamError extends Error {
+  constructor(provider, message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "UpstreamError";
+    this.provider = provider;
+    this.upstreamStatus = status;
+    this.statusCode = 502;
+  }
+}
+
+function errorBody(err, lang) {
+  if (err instanceof ApiError) {
+    const { message, details } = err.localized(lang);
+    return { code: err.code, message, field: err.field, details };
+  }
+  if (err instanceof UpstreamError) {
+    return {
+      code: "upstream_error",
+      message: err.message,
+      field: null,
+      details: { provider: err.provider, upstream_status: err.upstreamStatus },
+    };
+  }
+  return { code: "internal_error", message: err?.message || "Unknown error", field: null, details: null };
+}
+
+function sendError(res, err) {
+  const status = err instanceof ApiError || err instanceof UpstreamError ? err.statusCode : 500;
+  if (status >= 500 && err instanceof ApiError) {
+    // deliberate, like /ready's 503; no stack needed
+    log.warn("request failed", { status, code: err.code, message: err.message });
+  } else if (status >= 500) {
+    log.error("request failed", { status, err });
+  }
+  // res.req is the request on Node, Express and Vercel alike
+  return res.status(status).json({ ok: false, error: errorBody(err, requestLang(res.req)) });
+}
+
+module.exports = {
+  ApiError,
+  UpstreamError,
+  sendError,
+};
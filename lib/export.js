@@ -0,0 +1,286 @@
+const crypto = require("crypto");
+const { DateTime } = require("luxon");
+const { t } = require("./i18n");
+const { sendBody } = require("./http");
+
+const EXPORT_FORMATS = ["json", "ics", "csv", "stellarium", "skysafari"];
+
+const CSV_COLUMNS = [
+  "order", "id", "designations", "common_name", "type", "constellation", "magnitude",
+  "ra_deg", "dec_deg", "ra", "dec", "start", "dwell_minutes", "peak_time", "altitude_deg",
+  "azimuth_deg", "compass", "airmass", "eyepiece",
+];
+
+// local "2026-02-08T21:00" in `tz` -> Date
+function fromLocal(local, tz) {
+  return local ? DateTime.fromISO(local, { zone: tz }).toJSDate() : null;
+}
+
+// "saturn" -> "Saturn", the English name planetarium apps search for
+function bodyName(id) {
+  return id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+function pad(n, width = 2) {
+  return String(n).padStart(width, "0");
+}
+
+// 10.68 -> "0h42m43.2s"
+function formatRa(raDeg) {
+  const totalSec = Math.round((((raDeg % 360) + 360) % 360) / 15 * 36000) / 10;
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec - h * 3600) / 60);
+  const s = (totalSec - h * 3600 - m * 60).toFixed(1);
+  return `${h}h${pad(m)}m${s.padStart(4, "0")}s`;
+}
+
+// 41.27 -> "+41°16'12\""
+function formatDec(decDeg) {
+  const totalSec = Math.round(Math.abs(decDeg) * 3600);
+  const d = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec - d * 3600) / 60);
+  const s = totalSec - d * 3600 - m * 60;
+  return `${decDeg < 0 ? "-" : "+"}${d}°${pad(m)}'${pad(s)}"`;
+}
+
+/**
+ * One row per planned object: the itinerary in observing order, then any
+ * top targets it left out (suggested for the start of the best window, or
+ * when an imaging target becomes usable).
+ * Times are ISO strings with the site's UTC offset.
+ */
+function planRows(plan) {
+  const tz = plan.weather.timezone;
+  const withOffset = local => (local ? DateTime.fromISO(local, { zone: tz }).toISO({ suppressMilliseconds: true }) : null);
+  const targets = new Map(plan.targets.map(o => [o.id, o]));
+  const scheduled = (plan.itinerary?.slots || []).flatMap(s => s.entries);
+
+  const rows = scheduled.map(e => ({
+    ...targets.get(e.id),
+    ...e,
+    start: withOffset(e.start),
+    peak_time: withOffset(e.peak_time),
+  }));
+  const seen = new Set(rows.map(r => r.id));
+  for (const o of plan.targets) {
+    if (seen.has(o.id)) continue;
+    rows.push({ ...o, start: withOffset(o.usable_start ?? plan.best_window?.start), dwell_minutes: null, peak_time: null });
+  }
+
+  return rows.map((r, i) => ({
+    order: i + 1,
+    id: r.id,
+    kind: r.kind,
+    designations: r.designations || [r.common_name || r.id],
+    common_name: r.common_name ?? null,
+    type: r.type ?? null,
+    object_type: r.object_type ?? null,
+    constellation: r.constellation ?? null,
+    constellation_name: r.constellation_name ?? r.constellation ?? null,
+    magnitude: r.magnitude ?? null,
+    ra_deg: r.ra_deg ?? null,
+    dec_deg: r.dec_deg ?? null,
+    start: r.start,
+    dwell_minutes: r.dwell_minutes ?? null,
+    peak_time: r.peak_time ?? null,
+    altitude_deg: r.altitude_deg ?? null,
+    azimuth_deg: r.azimuth_deg ?? null,
+    compass: r.compass ?? null,
+    airmass: r.airmass ?? null,
+    eyepiece: r.eyepiece?.name ?? null,
+  }));
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  const s = Array.isArray(v) ? v.join("; ") : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(plan) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const r of planRows(plan)) {
+    const row = {
+      ...r,
+      ra: r.ra_deg === null ? null : formatRa(r.ra_deg),
+      dec: r.dec_deg === null ? null : formatDec(r.dec_deg),
+    };
+    lines.push(CSV_COLUMNS.map(c => csvCell(row[c])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+function icsText(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function icsTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// RFC 5545 lines are at most 75 octets; continuations start with a space
+function foldLine(line) {
+  const out = [];
+  let cur = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch) > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = "";
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+/**
+ * iCalendar with the chosen darkness interval and the best window as
+ * events; the best-window event lists the targets with their times.
+ */
+function toIcs(plan, lang) {
+  const tz = plan.weather.timezone;
+  const { location } = plan.received;
+  const now = icsTime(new Date());
+  const events = [];
+
+  const { twilight, best_window: bw } = plan;
+  if (twilight.dark_start && twilight.dark_end) {
+    events.push({
+      summary: t(lang, "export.dark_event", { darkness: t(lang, `darkness.${twilight.darkness}`, {}, twilight.darkness) }),
+      start: fromLocal(twilight.dark_start, tz),
+      end: fromLocal(twilight.dark_end, tz),
+      description: plan.plan.join("\n"),
+    });
+  }
+  if (bw) {
+    const targets = planRows(plan).map(r => {
+      const time = r.start ? DateTime.fromISO(r.start, { setZone: true }).toFormat("HH:mm") : "";
+      return `${time} ${r.common_name || r.designations[0]}`.trim();
+    });
+    events.push({
+      summary: t(lang, "export.best_window_event", { verdict: bw.verdict_label || plan.tonight.verdict_label }),
+      start: fromLocal(bw.start, tz),
+      // `end` is the start of the window's last forecast hour
+      end: new Date(fromLocal(bw.end, tz).getTime() + 3600 * 1000),
+      description: [t(lang, "export.targets"), ...targets].join("\n"),
+    });
+  }
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//astrosyo//observing plan//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  for (const e of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${crypto.randomUUID()}@astrosyo`,
+      `DTSTAMP:${now}`,
+      `DTSTART:${icsTime(e.start)}`,
+      `DTEND:${icsTime(e.end)}`,
+      `SUMMARY:${icsText(e.summary)}`,
+      `LOCATION:${icsText(location.label)}`,
+      `GEO:${location.lat};${location.lon}`,
+      `DESCRIPTION:${icsText(e.description)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT",
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+function julianDate(date) {
+  return date.getTime() / 86400000 + 2440587.5;
+}
+
+/**
+ * Stellarium observing list (.sol, Observing List plugin format 2.0). Each
+ * object's `jd` is its suggested observing time.
+ */
+function toStellarium(plan, lang) {
+  const oid = `{${crypto.randomUUID()}}`;
+  const objects = planRows(plan).map(r => ({
+    designation: r.kind === "deep_sky" ? r.designations[0] : bodyName(r.id),
+    name: r.kind === "deep_sky" ? r.designations[0] : bodyName(r.id),
+    nameI18n: r.common_name || r.designations[0],
+    type: r.kind === "deep_sky" ? "Nebula" : "Planet",
+    objtype: r.object_type || r.type || "",
+    ra: r.ra_deg === null ? "" : formatRa(r.ra_deg),
+    dec: r.dec_deg === null ? "" : formatDec(r.dec_deg),
+    magnitude: r.magnitude === null ? "" : String(r.magnitude),
+    constellation: r.constellation || "",
+    jd: r.start ? julianDate(new Date(r.start)) : 0,
+  }));
+
+  return JSON.stringify({
+    defaultListOid: oid,
+    observingLists: {
+      [oid]: {
+        "creation date": new Date().toISOString(),
+        description: plan.received.location.label,
+        name: t(lang, "export.list_name", { date: planDate(plan) }),
+        objects,
+        sorting: "",
+      },
+    },
+    version: "2.0",
+  }, null, 2);
+}
+
+// "M31" -> "M 31", "NGC224" -> "NGC 224"
+function skySafariNumber(designation) {
+  const m = /^([A-Za-z]+)\s*(\d.*)$/.exec(designation);
+  return m ? `${m[1].toUpperCase()} ${m[2]}` : designation;
+}
+
+/**
+ * SkySafari observing list (.skylist). SkySafari matches deep-sky objects by
+ * catalog number and planets by name.
+ */
+function toSkySafari(plan) {
+  const lines = ["SkySafariObservingListVersion=3.0", "SortedBy=Default Order"];
+  for (const r of planRows(plan)) {
+    lines.push("SkyObject=BeginObject");
+    if (r.kind === "deep_sky") {
+      if (r.common_name) lines.push(`\tCommonName=${r.common_name}`);
+      for (const d of r.designations) lines.push(`\tCatalogNumber=${skySafariNumber(d)}`);
+    } else {
+      lines.push(`\tCommonName=${bodyName(r.id)}`);
+    }
+    lines.push("EndObject=SkyObject");
+  }
+  return lines.join("\n") + "\n";
+}
+
+function planDate(plan) {
+  return (plan.twilight.sunset || plan.weather.hourly.time[0] || "").slice(0, 10);
+}
+
+const RENDERERS = {
+  ics: { contentType: "text/calendar; charset=utf-8", extension: "ics", render: toIcs },
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv", render: toCsv },
+  stellarium: { contentType: "application/json; charset=utf-8", extension: "sol", render: toStellarium },
+  skysafari: { contentType: "text/plain; charset=utf-8", extension: "skylist", render: toSkySafari },
+};
+
+/**
+ * Send an /observe-tonight response body as a downloadable file in
+ * `format` (any of EXPORT_FORMATS but "json").
+ */
+function sendExport(res, format, plan, lang) {
+  const { contentType, extension, render } = RENDERERS[format];
+  return sendBody(res, contentType, render(plan, lang), {
+    "Content-Disposition": `attachment; filename="astrosyo-plan-${planDate(plan)}.${extension}"`,
+  });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatDec,
+  formatRa,
+  planRows,
+  sendExport,
+};
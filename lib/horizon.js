@@ -0,0 +1,79 @@
+const { hourAngleHours } = require("./rise-set");
+
+const COMPASS_POINTS = ["N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE", "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"];
+
+// objects closer than this above the local horizon lose score: haze, heat
+// off roofs and the odd branch
+const OPEN_SKY_MARGIN_DEG = 10;
+const OBSTRUCTION_PENALTY_PER_DEG = 1.5;
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function normalizeAz(az) {
+  return ((az % 360) + 360) % 360;
+}
+
+// sectors run clockwise from `from_az_deg` to `to_az_deg` and may wrap past north
+function inSector(az, { from_az_deg: from, to_az_deg: to }) {
+  const a = normalizeAz(az);
+  const f = normalizeAz(from);
+  const t = normalizeAz(to);
+  return f <= t ? a >= f && a <= t : a >= f || a <= t;
+}
+
+/**
+ * Minimum usable altitude by azimuth for a horizon profile
+ * ({ min_altitude_deg?, sectors: [{ from_az_deg, to_az_deg, min_altitude_deg }] }).
+ * Where sectors overlap the highest wins; elsewhere it is the profile's
+ * `min_altitude_deg`, or `fallbackDeg` without one. Returns az -> degrees.
+ */
+function horizonMask(profile, fallbackDeg) {
+  const base = profile?.min_altitude_deg ?? fallbackDeg;
+  const sectors = profile?.sectors || [];
+  return (az) => sectors.reduce((min, s) => (inSector(az, s) ? Math.max(min, s.min_altitude_deg) : min), base);
+}
+
+// 16-point compass bearing, e.g. 200 -> "SSW"
+function compassPoint(az) {
+  return COMPASS_POINTS[Math.round(normalizeAz(az) / 22.5) % 16];
+}
+
+// Kasten & Young (1989); null below the horizon
+function airmass(altDeg) {
+  if (altDeg <= 0) return null;
+  return 1 / (Math.sin((altDeg * Math.PI) / 180) + 0.50572 * Math.pow(altDeg + 6.07995, -1.6364));
+}
+
+// score lost by an object `clearance` degrees above the local horizon
+function obstructionPenalty(clearance) {
+  return Math.max(0, OPEN_SKY_MARGIN_DEG - clearance) * OBSTRUCTION_PENALTY_PER_DEG;
+}
+
+/**
+ * Where to point for an object at altitude/azimuth `alt`/`az` (degrees)
+ * and right ascension `raDeg` at `date`, as response fields.
+ */
+function pointingFields({ lon, date, raDeg, alt, az, minAlt }) {
+  const am = airmass(alt);
+  return {
+    azimuth_deg: round1(az),
+    compass: compassPoint(az),
+    hour_angle_hours: round2(hourAngleHours(lon, date, raDeg)),
+    airmass: am === null ? null : round2(am),
+    horizon_clearance_deg: round1(alt - minAlt),
+  };
+}
+
+module.exports = {
+  airmass,
+  compassPoint,
+  horizonMask,
+  obstructionPenalty,
+  pointingFields,
+};
@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+const { ApiError } = require("./errors");
+const { log, withLogContext } = require("./log");
+const { httpDuration, httpRequests } = require("./metrics");
+
+// a caller's X-Request-Id is reused when it looks like an id
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * JSON request body as an object. Vercel and Express usually parse it into
+ * req.body already; dev-server.js hands us the raw string.
+ */
+function readJsonBody(req) {
+  if (req.body && typeof req.body === "object") return req.body;
+  if (req.body === undefined || req.body === null || req.body === "") return {};
+  if (typeof req.body === "string") {
+    try {
+      const parsed = JSON.parse(req.body);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) return parsed;
+    } catch {}
+  }
+  throw new ApiError(400, "invalid_json", { key: "errors.invalid_json" });
+}
+
+function requireMethod(req, res, ...methods) {
+  if (methods.includes(req.method)) return;
+  res.setHeader("Allow", methods.join(", "));
+  throw new ApiError(405, "method_not_allowed", { key: "errors.method_not_allowed", params: { methods } });
+}
+
+/**
+ * Path parameter such as `:id`. Express puts it in req.params; Vercel's
+ * [id].js routes and dev-server.js put it in req.query.
+ */
+function routeParam(req, name) {
+  return req.params?.[name] ?? req.query?.[name];
+}
+
+/**
+ * 200 with a non-JSON body (SVG, iCalendar, CSV...). Uses only what Node's
+ * res has, so it works under Express, Vercel and dev-server.js alike.
+ */
+function sendBody(res, contentType, body, headers = {}) {
+  const data = Buffer.from(body);
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Length", data.length);
+  for (const [k, v] of Object.entries(headers)) res.setHeader(k, v);
+  res.statusCode = 200;
+  return res.end(data);
+}
+
+/**
+ * Wrap a handler where it is exported, so Vercel, server.js and dev-server.js
+ * all get it: give the request an id (req.id, echoed as X-Request-Id and
+ * logged with everything it causes), log it when it finishes and count it
+ * under `route`, the route pattern (null for requests no route matched).
+ */
+function instrumentRoute(route, handler) {
+  return (req, res) => {
+    const given = req.headers?.["x-request-id"];
+    req.id = typeof given === "string" && REQUEST_ID.test(given) ? given : crypto.randomUUID();
+    res.setHeader("X-Request-Id", req.id);
+
+    const started = process.hrtime.bigint();
+    const label = route || "unmatched";
+    res.on("finish", () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      httpRequests.inc({ route: label, method: req.method, status: res.statusCode });
+      httpDuration.observe({ route: label, method: req.method }, seconds);
+      log.info("request", {
+        request_id: req.id,
+        method: req.method,
+        route: label,
+        path: (req.originalUrl || req.url).split("?")[0],
+        status: res.statusCode,
+        duration_ms: Math.round(seconds * 10000) / 10,
+      });
+    });
+
+    return withLogContext({ request_id: req.id }, () => handler(req, res));
+  };
+}
+
+module.exports = {
+  instrumentRoute,
+  readJsonBody,
+  requireMethod,
+  routeParam,
+  sendBody,
+};
@@ -0,0 +1,176 @@
+const fs = require("fs");
+const path = require("path");
+
+// one JSON catalog per language; drop in a file to add a language
+const LOCALE_DIR = path.join(__dirname, "..", "data", "locales");
+const DEFAULT_LANG = "en";
+
+let LOCALES = null;
+
+function locales() {
+  if (!LOCALES) {
+    LOCALES = {};
+    for (const file of fs.readdirSync(LOCALE_DIR)) {
+      if (!file.endsWith(".json")) continue;
+      LOCALES[file.slice(0, -5).toLowerCase()] = JSON.parse(fs.readFileSync(path.join(LOCALE_DIR, file), "utf8"));
+    }
+  }
+  return LOCALES;
+}
+
+function supportedLangs() {
+  return Object.keys(locales());
+}
+
+/**
+ * Closest language we have a catalog for ("tr-TR" -> "tr"), or null.
+ */
+function resolveLang(tag) {
+  if (typeof tag !== "string") return null;
+  const lang = tag.trim().toLowerCase();
+  if (locales()[lang]) return lang;
+  const base = lang.split("-")[0];
+  return locales()[base] ? base : null;
+}
+
+/**
+ * Best supported language from an Accept-Language header, or null.
+ */
+function negotiateLang(header) {
+  if (typeof header !== "string") return null;
+  const ranked = header
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { tag, q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(x => x.tag && x.tag !== "*" && x.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  for (const { tag } of ranked) {
+    const lang = resolveLang(tag);
+    if (lang) return lang;
+  }
+  return null;
+}
+
+// `lang` from a JSON body that may still be a raw string (dev-server.js)
+function bodyLang(body) {
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      return null;
+    }
+  }
+  return body && typeof body === "object" ? body.lang : null;
+}
+
+/**
+ * Language for a request: `explicit` (a validated `lang` option), then
+ * ?lang= or a JSON body's lang, then Accept-Language, then English.
+ */
+function requestLang(req, explicit) {
+  return resolveLang(explicit) ||
+    resolveLang(req?.query?.lang) ||
+    resolveLang(bodyLang(req?.body)) ||
+    negotiateLang(req?.headers?.["accept-language"]) ||
+    DEFAULT_LANG;
+}
+
+function lookup(lang, key) {
+  let node = locales()[lang];
+  for (const part of key.split(".")) {
+    if (node === undefined || node === null) return undefined;
+    node = node[part];
+  }
+  return node;
+}
+
+// "pt-br" -> ["pt-br", "pt", "en"]
+function fallbackChain(lang) {
+  const chain = [];
+  if (lang) chain.push(lang, lang.split("-")[0]);
+  chain.push(DEFAULT_LANG);
+  return [...new Set(chain)];
+}
+
+function interpolate(lang, text, params) {
+  return text.replace(/\{(\w+)\}/g, (m, name) => {
+    const v = params[name];
+    if (v === undefined || v === null) return m;
+    return Array.isArray(v) ? v.join(t(lang, "list.or")) : String(v);
+  });
+}
+
+/**
+ * Text for `key` in `lang`, falling back to the base language, then
+ * English, then `fallback` (e.g. the untranslated catalog value), then the
+ * key itself. `{name}` placeholders are filled from `params`; arrays are
+ * joined with the language's "or".
+ */
+function t(lang, key, params = {}, fallback) {
+  for (const l of fallbackChain(lang)) {
+    const text = lookup(l, key);
+    if (typeof text === "string") return interpolate(lang, text, params);
+  }
+  return fallback !== undefined ? fallback : key;
+}
+
+/**
+ * Copy of a catalog object or solar-system body with its common name in
+ * `lang` and a localized `constellation_name`; `constellation` stays the
+ * IAU name used for filtering.
+ */
+function localizeObject(o, lang) {
+  if (!o) return o;
+  return {
+    ...o,
+    common_name: o.common_name ? t(lang, `objects.${o.id}`, {}, o.common_name) : o.common_name,
+    ...(o.constellation !== undefined && {
+      constellation_name: o.constellation ? t(lang, `constellations.${o.constellation}`, {}, o.constellation) : null,
+    }),
+  };
+}
+
+function labelKey(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+/g, "_");
+}
+
+/**
+ * Verdict and transparency/seeing labels of a night summary or window in
+ * `lang`. The machine-readable `verdict` is kept; `verdict_label` is added.
+ */
+function localizeConditions(c, lang) {
+  if (!c) return c;
+  const out = { ...c };
+  // a null verdict means there was no forecast to judge by
+  if (c.verdict !== undefined) out.verdict_label = t(lang, `verdicts.${c.verdict ?? "unknown"}`, {}, c.verdict);
+  for (const field of ["transparency_label", "seeing_label"]) {
+    if (c[field]) out[field] = t(lang, `quality.${labelKey(c[field])}`, {}, c[field]);
+  }
+  return out;
+}
+
+function localizeMoon(moon, lang) {
+  if (!moon?.phase_name) return moon;
+  return { ...moon, phase_name: t(lang, `moon_phases.${labelKey(moon.phase_name)}`, {}, moon.phase_name) };
+}
+
+function localizeSky(skyBrightness, lang) {
+  if (!skyBrightness) return skyBrightness;
+  return { ...skyBrightness, label: t(lang, `bortle.${skyBrightness.bortle}`, {}, skyBrightness.label) };
+}
+
+module.exports = {
+  DEFAULT_LANG,
+  localizeConditions,
+  localizeMoon,
+  localizeObject,
+  localizeSky,
+  negotiateLang,
+  requestLang,
+  resolveLang,
+  supportedLangs,
+  t,
+};
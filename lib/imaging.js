@@ -0,0 +1,238 @@
+// Astrophotography mode: camera framing, usable integration time, meridian
+// flips and filter choice for deep-sky targets.
+
+const { loadCatalogs, DEFAULT_CATALOGS } = require("./catalogs");
+const { moonPenalty } = require("./moon");
+const { toLocalIso } = require("./twilight");
+const { toDateInWeatherTZ } = require("./conditions");
+const { hourAngleHours } = require("./rise-set");
+const { horizonMask } = require("./horizon");
+const { MIN_ALTITUDE_DEG, UNOBSERVED_BONUS, horizontalDeg } = require("./targets");
+
+// low altitudes mean thick air, gradients and soft stars
+const DEFAULT_IMAGING_MIN_ALTITUDE_DEG = 30;
+// a forecast hour is clear at or below this cloud cover, without rain
+const CLEAR_CLOUD_PERCENT = 30;
+const STEP_MINUTES = 10;
+// less than this above the limit isn't worth setting up for
+const MIN_USABLE_MINUTES = 30;
+// a night's worth of integration; more time on one object scores no higher
+const FULL_INTEGRATION_MINUTES = 6 * 60;
+// the object spans this share of the frame at best; smaller is lost, bigger needs a mosaic
+const IDEAL_FILL = 0.6;
+// emission objects shine in a few lines a narrowband filter passes, moonlight doesn't
+const EMISSION_TYPES = new Set(["nebula", "supernova_remnant", "planetary_nebula"]);
+// with a narrowband filter only this much of the Moon's penalty is left
+const NARROWBAND_MOON_FACTOR = 0.3;
+// image scale (arcsec/pixel) that suits typical 2-3" seeing
+const OVERSAMPLED_BELOW = 0.67;
+const UNDERSAMPLED_ABOVE = 2;
+
+const ARCSEC_PER_RAD = 206265;
+const MINUTE_MS = 60 * 1000;
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+// true field across `sizeMm` of sensor at `focalMm`, in arcminutes
+function fieldArcmin(sizeMm, focalMm) {
+  return (2 * Math.atan(sizeMm / (2 * focalMm)) * ARCSEC_PER_RAD) / 60;
+}
+
+/**
+ * Field of view and image scale for `equipment` with a `camera`, plus the
+ * mount (from `mount`, else alt-az for dobsonians and equatorial otherwise).
+ * Null unless both the camera and a focal length are known.
+ */
+function describeImaging(e) {
+  const cam = e?.camera;
+  if (!cam || !e.focal_length_mm) return null;
+
+  const f = e.focal_length_mm;
+  const scale = (cam.pixel_size_um / 1000 / f) * ARCSEC_PER_RAD;
+  return {
+    camera: cam.name ?? null,
+    mount: e.mount ?? (e.type === "dobsonian" ? "altaz" : "equatorial"),
+    focal_length_mm: f,
+    focal_ratio: e.aperture_mm ? round1(f / e.aperture_mm) : null,
+    sensor_width_mm: cam.sensor_width_mm,
+    sensor_height_mm: cam.sensor_height_mm,
+    pixel_size_um: cam.pixel_size_um,
+    width_px: Math.round((cam.sensor_width_mm * 1000) / cam.pixel_size_um),
+    height_px: Math.round((cam.sensor_height_mm * 1000) / cam.pixel_size_um),
+    fov_width_arcmin: round1(fieldArcmin(cam.sensor_width_mm, f)),
+    fov_height_arcmin: round1(fieldArcmin(cam.sensor_height_mm, f)),
+    image_scale_arcsec_per_px: round2(scale),
+    sampling: scale < OVERSAMPLED_BELOW ? "oversampled" : scale > UNDERSAMPLED_ABOVE ? "undersampled" : "good",
+  };
+}
+
+/**
+ * How much of the frame `o` fills: its long axis against the frame's long
+ * side (or short against short, whichever is tighter). Null without a size.
+ */
+function frameFill(o, setup) {
+  if (typeof o.size_major_arcmin !== "number") return { fill: null, framing: null };
+  const long = Math.max(setup.fov_width_arcmin, setup.fov_height_arcmin);
+  const short = Math.min(setup.fov_width_arcmin, setup.fov_height_arcmin);
+  const fill = Math.max(o.size_major_arcmin / long, (o.size_minor_arcmin ?? o.size_major_arcmin) / short);
+
+  let framing = "tiny";
+  if (fill > 1) framing = "mosaic";
+  else if (fill > 0.9) framing = "tight";
+  else if (fill >= 0.3) framing = "good";
+  else if (fill >= 0.1) framing = "small";
+  return { fill, framing };
+}
+
+// best at IDEAL_FILL, falling off by halves and doublings; mosaics cost extra
+function framingScore(fill) {
+  if (fill === null) return 0;
+  return 30 - 15 * Math.abs(Math.log2(fill / IDEAL_FILL)) - (fill > 1 ? 10 : 0);
+}
+
+/**
+ * Broadband (RGB/OSC, L) or narrowband (Hα/OIII) for `o`, and why:
+ * "moon", "light_pollution" or "dark_sky".
+ */
+function suggestFilter(o, moon, skyBrightness) {
+  let reason = "dark_sky";
+  if (moon?.deep_sky_impact === "moderate" || moon?.deep_sky_impact === "severe") reason = "moon";
+  else if (skyBrightness?.bortle >= 5) reason = "light_pollution";
+  return { filter: EMISSION_TYPES.has(o.type) ? "narrowband" : "broadband", filter_reason: reason };
+}
+
+// sample times over [start, end] with whether the forecast calls them clear
+// (null when the forecast doesn't say)
+function sampleTimes(start, end, weather, forecastAvailable) {
+  const hours = forecastAvailable
+    ? weather.hourly.time.map((t, i) => ({
+      at: toDateInWeatherTZ(t, weather.timezone).getTime(),
+      clear: weather.hourly.cloud_cover[i] <= CLEAR_CLOUD_PERCENT && weather.hourly.precipitation[i] <= 0,
+    }))
+    : [];
+
+  const samples = [];
+  for (let t = start.getTime(); t <= end.getTime(); t += STEP_MINUTES * MINUTE_MS) {
+    const hour = hours.find(h => t >= h.at && t < h.at + 60 * MINUTE_MS);
+    samples.push({ date: new Date(t), clear: hour ? hour.clear : null });
+  }
+  return samples;
+}
+
+/**
+ * Minutes `o` spends above the limit over the samples, how many of them are
+ * forecast clear, and when it crosses the meridian while above the limit.
+ */
+function integrationFor(o, { lat, lon, samples, minAltAt }) {
+  let usable = 0;
+  let clear = 0;
+  let first = null;
+  let last = null;
+  let flip = null;
+  let maxAlt = -90;
+  let prev = null;
+
+  for (const s of samples) {
+    const { altitude, azimuth } = horizontalDeg(lat, lon, s.date, o.ra_deg, o.dec_deg);
+    const up = altitude >= minAltAt(azimuth);
+    const ha = hourAngleHours(lon, s.date, o.ra_deg);
+    if (up) {
+      maxAlt = Math.max(maxAlt, altitude);
+      usable += STEP_MINUTES;
+      if (s.clear !== false) clear += STEP_MINUTES;
+      first = first || s.date;
+      last = s.date;
+      // east to west of the meridian between two usable samples
+      if (prev?.up && prev.ha < 0 && ha >= 0) {
+        const frac = -prev.ha / (ha - prev.ha);
+        flip = new Date(prev.date.getTime() + frac * STEP_MINUTES * MINUTE_MS);
+      }
+    }
+    prev = { date: s.date, ha, up };
+  }
+  return { usable, clear, first, last, flip, maxAlt };
+}
+
+/**
+ * Deep-sky targets ranked for imaging with `setup` (from describeImaging)
+ * over [start, end]: how well they fill the frame, how long they stay above
+ * `minAltitude` and the `horizon` profile in forecast-clear hours, and the
+ * Moon. Planets and the Moon are left out; they need video, not long
+ * exposures. Clear minutes are null when `forecastAvailable` is false.
+ */
+function pickImagingTargets({
+  lat,
+  lon,
+  start,
+  end,
+  tz,
+  weather,
+  forecastAvailable = true,
+  setup,
+  horizon = null,
+  minAltitude = DEFAULT_IMAGING_MIN_ALTITUDE_DEG,
+  skyBrightness,
+  moon,
+  catalogs = DEFAULT_CATALOGS,
+  observed = null,
+  max = 8,
+}) {
+  if (!start || !end || end <= start) return [];
+
+  const mask = horizonMask(horizon, MIN_ALTITUDE_DEG);
+  const minAltAt = (az) => Math.max(mask(az), minAltitude);
+  const samples = sampleTimes(start, end, weather, forecastAvailable);
+
+  const scored = [];
+  for (const o of loadCatalogs(catalogs)) {
+    // never gets high enough from here
+    if (90 - Math.abs(lat - o.dec_deg) < minAltitude) continue;
+
+    const run = integrationFor(o, { lat, lon, samples, minAltAt });
+    if (run.usable < MIN_USABLE_MINUTES) continue;
+
+    const { fill, framing } = frameFill(o, setup);
+    const filter = suggestFilter(o, moon, skyBrightness);
+    const { penalty, separation } = moonPenalty(
+      { raDeg: o.ra_deg, decDeg: o.dec_deg, mag: o.magnitude ?? NaN, type: o.type },
+      moon
+    );
+    const minutes = forecastAvailable ? run.clear : run.usable;
+
+    let score = framingScore(fill) + (Math.min(minutes, FULL_INTEGRATION_MINUTES) / 60) * 8;
+    if (Number.isFinite(o.magnitude)) score += (12 - o.magnitude) * 1.5;
+    if (observed && !observed.has(o.id)) score += UNOBSERVED_BONUS;
+    score -= penalty * (filter.filter === "narrowband" ? NARROWBAND_MOON_FACTOR : 1);
+
+    scored.push({
+      kind: "deep_sky",
+      ...o,
+      max_altitude_deg: round1(run.maxAlt),
+      frame_fill: fill === null ? null : round2(fill),
+      framing,
+      usable_minutes: run.usable,
+      clear_minutes: forecastAvailable ? run.clear : null,
+      usable_start: toLocalIso(run.first, tz),
+      usable_end: toLocalIso(run.last, tz),
+      meridian_flip: setup.mount === "equatorial" ? toLocalIso(run.flip, tz) : null,
+      ...filter,
+      moon_separation_deg: separation === null ? null : Math.round(separation),
+      score: round1(score),
+    });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, max);
+}
+
+module.exports = {
+  DEFAULT_IMAGING_MIN_ALTITUDE_DEG,
+  describeImaging,
+  pickImagingTargets,
+};
@@ -0,0 +1,283 @@
+const Astronomy = require("astronomy-engine");
+const { toLocalIso } = require("./twilight");
+const { angularSeparationDeg, moonPosition } = require("./moon");
+const {
+  MIN_ELONGATION_DEG,
+  solarSystemObjects,
+  scoreSolarSystemObject,
+} = require("./solar-system");
+const { DEFAULT_CATALOGS, loadCatalogs } = require("./catalogs");
+const { MIN_ALTITUDE_DEG, altitudeDeg, horizontalDeg, scoreDeepSky } = require("./targets");
+const { horizonMask, obstructionPenalty, pointingFields } = require("./horizon");
+const { recommendEyepiece } = require("./equipment");
+const { targetVisibility } = require("./light-pollution");
+const { hourAngleHours, objectRiseTransitSet } = require("./rise-set");
+
+const SLOT_MINUTES = 60;
+const MINUTE_MS = 60 * 1000;
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+// rough time at the eyepiece per object, in minutes
+const DWELL_MINUTES = {
+  planet: 15,
+  moon: 15,
+  galaxy: 10,
+  nebula: 10,
+  supernova_remnant: 10,
+  planetary_nebula: 8,
+  globular_cluster: 8,
+  open_cluster: 6,
+};
+
+function dwellMinutes(type) {
+  return DWELL_MINUTES[type] ?? 5;
+}
+
+// ~30°/min for a manual or GoTo slew, plus a minute to find and center
+function slewMinutes(deg) {
+  return deg === null ? 0 : 1 + Math.ceil(deg / 30);
+}
+
+function makeSlots(start, end) {
+  const slots = [];
+  for (let t = start.getTime(); t < end.getTime(); t += SLOT_MINUTES * MINUTE_MS) {
+    const s1 = Math.min(t + SLOT_MINUTES * MINUTE_MS, end.getTime());
+    slots.push({
+      start: new Date(t),
+      end: new Date(s1),
+      mid: new Date((t + s1) / 2),
+      minutes: (s1 - t) / MINUTE_MS,
+      used: 0,
+      picked: [],
+    });
+  }
+  return slots;
+}
+
+/**
+ * Score every object in every slot it stays above the horizon profile
+ * (MIN_ALTITUDE_DEG without one). Returns candidates:
+ * { id, kind, o, visits: [{ slot, at, score, alt, az, minAlt, visibility }] }.
+ */
+function scoreCandidates({ lat, lon, slots, gear, skyBrightness, moon, verdict, catalogs, observed, horizon }) {
+  const minAltAt = horizonMask(horizon, MIN_ALTITUDE_DEG);
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const byId = new Map();
+  const visit = (id, kind, o, v) => {
+    if (!byId.has(id)) byId.set(id, { id, kind, o, visits: [] });
+    byId.get(id).visits.push(v);
+  };
+
+  slots.forEach((slot, i) => {
+    const slotMoon = moon ? { ...moon, ...moonPosition(observer, slot.mid) } : null;
+
+    for (const o of loadCatalogs(catalogs)) {
+      const pos = [slot.start, slot.mid, slot.end].map(d => horizontalDeg(lat, lon, d, o.ra_deg, o.dec_deg));
+      if (pos.some(p => p.altitude < minAltAt(p.azimuth))) continue;
+
+      const { altitude: alt, azimuth: az } = pos[1];
+      const minAlt = minAltAt(az);
+      const { score, visibility } = scoreDeepSky(o, {
+        alt,
+        gear,
+        skyBrightness,
+        moon: slotMoon,
+        observed,
+      });
+      const net = score - obstructionPenalty(alt - minAlt);
+      if (net <= 0) continue;
+      visit(o.id, "deep_sky", o, { slot: i, at: slot.mid, score: net, alt, az, minAlt, visibility });
+    }
+
+    for (const o of solarSystemObjects({ lat, lon, date: slot.mid })) {
+      const minAlt = minAltAt(o.azimuth);
+      if (o.altitude < minAlt || o.elongation_deg < MIN_ELONGATION_DEG) continue;
+      const visibility = targetVisibility(o, { gear, skyBrightness });
+      if (visibility === "not_visible") continue;
+      const score = scoreSolarSystemObject(o, verdict) - obstructionPenalty(o.altitude - minAlt);
+      visit(o.id, o.type, o, { slot: i, at: slot.mid, score, alt: o.altitude, az: o.azimuth, minAlt, visibility });
+    }
+  });
+
+  return [...byId.values()];
+}
+
+// minutes a slot's picks take in observing order, slews between them included
+function minutesNeeded(picked, lon, at) {
+  return orderBySlew(picked, null, lon, at).reduce((sum, p) => sum + slewMinutes(p.slewDeg) + p.dwell, 0);
+}
+
+/**
+ * Greedy fill: best objects first, each into the free slot where it scores
+ * highest (i.e. near its best altitude), until the slots are full.
+ */
+function assignToSlots(candidates, slots, lon) {
+  const best = (c) => Math.max(...c.visits.map(v => v.score));
+  candidates.sort((a, b) => best(b) - best(a));
+
+  for (const c of candidates) {
+    const dwell = dwellMinutes(c.o.type);
+    const visits = [...c.visits].sort((a, b) => b.score - a.score);
+    for (const v of visits) {
+      const slot = slots[v.slot];
+      if (slot.used + dwell > slot.minutes) continue;
+      const picked = [...slot.picked, { c, v, dwell }];
+      const used = minutesNeeded(picked, lon, slot.start);
+      if (used > slot.minutes) continue;
+      slot.used = used;
+      slot.picked = picked;
+      break;
+    }
+  }
+}
+
+/**
+ * Nearest-neighbour order inside a slot, starting from wherever the
+ * telescope was pointing at the end of the previous slot.
+ */
+function orderBySlew(picked, from, lon, at) {
+  const left = [...picked];
+  const out = [];
+  let cur = from;
+
+  // first object of the night: start furthest west, it sets first
+  if (!cur && left.length) {
+    const ha = (p) => hourAngleHours(lon, at, p.c.o.ra_deg);
+    left.sort((a, b) => ha(b) - ha(a));
+    cur = left.shift();
+    out.push({ ...cur, slewDeg: null });
+  }
+
+  while (left.length) {
+    let bestI = 0;
+    let bestSep = Infinity;
+    left.forEach((p, i) => {
+      const sep = angularSeparationDeg(cur.c.o.ra_deg, cur.c.o.dec_deg, p.c.o.ra_deg, p.c.o.dec_deg);
+      if (sep < bestSep) {
+        bestSep = sep;
+        bestI = i;
+      }
+    });
+    cur = left.splice(bestI, 1)[0];
+    out.push({ ...cur, slewDeg: bestSep });
+  }
+  return out;
+}
+
+function entryFor({ lat, lon, p, order, startAt, start, end, tz, gear }) {
+  const { c, v, dwell, slewDeg } = p;
+  const around = new Date((start.getTime() + end.getTime()) / 2);
+  const rts = objectRiseTransitSet({ lat, lon, o: c.o, around });
+
+  // highest point inside the session (altitude is unimodal around transit)
+  const peak = new Date(Math.min(end.getTime(), Math.max(start.getTime(), rts.transit.getTime())));
+  const peakAlt = c.kind === "deep_sky"
+    ? altitudeDeg(lat, lon, peak, c.o.ra_deg, c.o.dec_deg)
+    : null;
+
+  return {
+    order,
+    id: c.id,
+    kind: c.kind,
+    designations: c.o.designations,
+    common_name: c.o.common_name,
+    type: c.o.type,
+    object_type: c.o.object_type,
+    constellation: c.o.constellation,
+    magnitude: c.o.magnitude,
+    ra_deg: c.o.ra_deg,
+    dec_deg: c.o.dec_deg,
+    start: toLocalIso(startAt, tz),
+    dwell_minutes: dwell,
+    slew_deg: slewDeg === null ? null : Math.round(slewDeg),
+    altitude_deg: round1(v.alt),
+    ...pointingFields({ lon, date: v.at, raDeg: c.o.ra_deg, alt: v.alt, az: v.az, minAlt: v.minAlt }),
+    rise: toLocalIso(rts.rise, tz),
+    transit: toLocalIso(rts.transit, tz),
+    set: toLocalIso(rts.set, tz),
+    circumpolar: rts.circumpolar,
+    peak_time: toLocalIso(peak, tz),
+    max_altitude_deg: peakAlt === null ? round1(rts.transit_altitude_deg) : round1(peakAlt),
+    visibility: v.visibility,
+    ...recommendEyepiece(gear, c.o),
+    score: round1(v.score),
+  };
+}
+
+/**
+ * Time-sequenced plan for the usable night [start, end] (JS Dates):
+ * hourly slots, each filled with objects near their best altitude and
+ * ordered to keep slews short. Every entry has a suggested start and dwell.
+ */
+function buildItinerary({
+  lat,
+  lon,
+  start,
+  end,
+  tz,
+  gear,
+  skyBrightness,
+  moon,
+  verdict,
+  catalogs = DEFAULT_CATALOGS,
+  observed = null,
+  horizon = null,
+}) {
+  if (!start || !end || end <= start) return null;
+
+  const slots = makeSlots(start, end);
+  const candidates = scoreCandidates({
+    lat,
+    lon,
+    slots,
+    gear,
+    skyBrightness,
+    moon,
+    verdict,
+    catalogs,
+    observed,
+    horizon,
+  });
+  assignToSlots(candidates, slots, lon);
+
+  let clock = start.getTime();
+  let last = null;
+  let order = 0;
+
+  const outSlots = slots.map(slot => {
+    clock = Math.max(clock, slot.start.getTime());
+    const entries = [];
+    for (const p of orderBySlew(slot.picked, last, lon, slot.start)) {
+      const at = clock + slewMinutes(p.slewDeg) * MINUTE_MS;
+      // the slew in from the last slot, or its overrun, can leave no room
+      // for the last picks
+      if (at + p.dwell * MINUTE_MS > slot.end.getTime()) break;
+      entries.push(entryFor({ lat, lon, p, order: ++order, startAt: new Date(at), start, end, tz, gear }));
+      clock = at + p.dwell * MINUTE_MS;
+    }
+    if (entries.length) last = slot.picked.find(p => p.c.id === entries[entries.length - 1].id);
+
+    return {
+      start: toLocalIso(slot.start, tz),
+      end: toLocalIso(slot.end, tz),
+      entries,
+    };
+  });
+
+  return {
+    start: toLocalIso(start, tz),
+    end: toLocalIso(end, tz),
+    slot_minutes: SLOT_MINUTES,
+    object_count: order,
+    planned_minutes: Math.round((clock - start.getTime()) / MINUTE_MS),
+    slots: outSlots,
+  };
+}
+
+module.exports = {
+  buildItinerary,
+  dwellMinutes,
+};
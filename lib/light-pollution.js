@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+const { magnitudeHeadroom } = require("./equipment");
+
+// representative zenith SQM (mag/arcsec²) for each Bortle class
+const BORTLE_SQM = [null, 21.9, 21.6, 21.4, 20.8, 20.0, 19.2, 18.7, 18.2, 17.8];
+const BORTLE_LABELS = [
+  null,
+  "excellent dark site",
+  "typical dark site",
+  "rural sky",
+  "rural/suburban transition",
+  "suburban sky",
+  "bright suburban sky",
+  "suburban/urban transition",
+  "city sky",
+  "inner-city sky",
+];
+
+const DIFFUSE_TYPES = new Set(["galaxy", "nebula", "supernova_remnant", "planetary_nebula"]);
+
+let GRID = null;
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+function loadGrid() {
+  if (!GRID) {
+    const p = path.join(process.cwd(), "data", "light-pollution.json");
+    GRID = JSON.parse(fs.readFileSync(p, "utf8"));
+  }
+  return GRID;
+}
+
+function sqmToBortle(sqm) {
+  for (let b = 1; b <= 8; b++) {
+    // boundary halfway between neighbouring classes
+    if (sqm >= (BORTLE_SQM[b] + BORTLE_SQM[b + 1]) / 2) return b;
+  }
+  return 9;
+}
+
+// naked-eye limiting magnitude from sky brightness (Schaefer's fit)
+function nakedEyeLimitingMagnitude(sqm) {
+  return 7.93 - 5 * Math.log10(10 ** (4.316 - sqm / 5) + 1);
+}
+
+/**
+ * Zenith SQM for lat/lon from the bundled coarse grid (see the description
+ * in data/light-pollution.json).
+ */
+function estimateSqm(lat, lon) {
+  const grid = loadGrid();
+  const res = grid.resolution_deg;
+  const key = (x) => (Math.floor(x / res) * res).toFixed(2);
+  return grid.cells[`${key(lat)},${key(lon)}`] ?? grid.default_sqm;
+}
+
+/**
+ * Sky brightness for the request: an SQM reading wins over a Bortle class,
+ * and with neither we fall back to the offline estimate.
+ */
+function resolveSky({ lat, lon, bortle, sqm }) {
+  let source = "sqm";
+  if (typeof sqm !== "number") {
+    if (typeof bortle === "number") {
+      sqm = BORTLE_SQM[bortle];
+      source = "bortle";
+    } else {
+      sqm = estimateSqm(lat, lon);
+      source = "estimate";
+    }
+  }
+  const b = source === "bortle" ? bortle : sqmToBortle(sqm);
+
+  return {
+    sqm,
+    bortle: b,
+    label: BORTLE_LABELS[b],
+    naked_eye_limiting_magnitude: round1(nakedEyeLimitingMagnitude(sqm)),
+    source,
+  };
+}
+
+/**
+ * "easy" | "challenging" | "not_visible" for `o` with this gear under this sky.
+ * Point-like objects are limited by magnitude; galaxies and nebulae also by
+ * how their surface brightness compares with the sky background.
+ */
+function targetVisibility(o, { gear, skyBrightness }) {
+  let level = 2;
+
+  const headroom = magnitudeHeadroom(gear, o);
+  if (headroom !== null) level = Math.min(level, headroom < 0 ? 0 : headroom < 1.5 ? 1 : 2);
+
+  if (skyBrightness && DIFFUSE_TYPES.has(o.type) && typeof o.surface_brightness === "number") {
+    const contrast = skyBrightness.sqm - o.surface_brightness;
+    let sbLevel = contrast >= -1 ? 2 : contrast >= -3.5 ? 1 : 0;
+    // a bright core still shows through a washed-out sky
+    if (typeof o.magnitude === "number" && o.magnitude < 6) sbLevel = Math.max(sbLevel, 1);
+    level = Math.min(level, sbLevel);
+  }
+
+  return ["not_visible", "challenging", "easy"][level];
+}
+
+module.exports = {
+  BORTLE_SQM,
+  estimateSqm,
+  resolveSky,
+  sqmToBortle,
+  targetVisibility,
+};
@@ -0,0 +1,83 @@
+const { createOpenAiProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+
+let PROVIDER;
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Provider chosen by LLM_PROVIDER: "openai", "openai-compatible" (needs
+ * LLM_BASE_URL), "mock" or "none". Unset means "openai" when
+ * OPENAI_API_KEY is set and "none" otherwise. LLM_MODEL, LLM_TIMEOUT_MS,
+ * LLM_RETRIES and LLM_RESPONSE_FORMAT tune the OpenAI-style providers.
+ */
+function providerFromEnv() {
+  const kind = process.env.LLM_PROVIDER || (process.env.OPENAI_API_KEY ? "openai" : "none");
+  const common = {
+    model: process.env.LLM_MODEL || undefined,
+    timeoutMs: envNumber("LLM_TIMEOUT_MS", 15000),
+    retries: envNumber("LLM_RETRIES", 1),
+  };
+
+  if (kind === "none") return null;
+  if (kind === "mock") return createMockProvider();
+  if (kind === "openai") {
+    return createOpenAiProvider({
+      ...common,
+      apiKey: process.env.OPENAI_API_KEY,
+      baseUrl: process.env.OPENAI_BASE_URL || undefined,
+      responseFormat: process.env.LLM_RESPONSE_FORMAT || "json_schema",
+    });
+  }
+  if (kind === "openai-compatible") {
+    if (!process.env.LLM_BASE_URL) throw new Error("LLM_PROVIDER=openai-compatible needs LLM_BASE_URL");
+    return createOpenAiProvider({
+      ...common,
+      name: "openai-compatible",
+      apiKey: process.env.LLM_API_KEY,
+      baseUrl: process.env.LLM_BASE_URL,
+      responseFormat: process.env.LLM_RESPONSE_FORMAT || "json_object",
+    });
+  }
+  throw new Error(`Unknown LLM_PROVIDER: ${kind}`);
+}
+
+/**
+ * The configured provider, or null when AI plans are turned off.
+ */
+function getLlmProvider() {
+  if (PROVIDER === undefined) PROVIDER = providerFromEnv();
+  return PROVIDER;
+}
+
+// tests and scripts can swap the provider
+function setLlmProvider(provider) {
+  PROVIDER = provider;
+}
+
+/**
+ * Whether the LLM settings give a usable provider, for /ready:
+ * { ok, provider, model?, message? }. "none" is fine; AI plans are just off.
+ */
+function llmStatus() {
+  let provider;
+  try {
+    provider = getLlmProvider();
+  } catch (e) {
+    return { ok: false, provider: process.env.LLM_PROVIDER, message: e.message };
+  }
+  if (!provider) return { ok: true, provider: "none" };
+  if (provider.name === "openai" && !process.env.OPENAI_API_KEY) {
+    return { ok: false, provider: provider.name, model: provider.model, message: "OPENAI_API_KEY is not set" };
+  }
+  return { ok: true, provider: provider.name, model: provider.model };
+}
+
+module.exports = {
+  getLlmProvider,
+  llmStatus,
+  setLlmProvider,
+};
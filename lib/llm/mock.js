@@ -0,0 +1,46 @@
+const { t } = require("../i18n");
+
+/**
+ * Deterministic stand-in for a language model: answers from the structured
+ * `context` the prompt was built from instead of the prompt text. For
+ * offline development and demos; no network, no API key.
+ */
+function createMockProvider() {
+  const name = "mock";
+
+  function tip(o, lang) {
+    if (o.usable_minutes !== undefined) {
+      return t(lang, "mock_ai.tip_imaging", { filter: t(lang, `imaging.filters.${o.filter}`), hours: Math.round(o.usable_minutes / 6) / 10 });
+    }
+    const altitude = Math.round(o.altitude_deg);
+    if (o.eyepiece) {
+      return t(lang, "mock_ai.tip_eyepiece", { ...o.eyepiece, eyepiece: o.eyepiece.name, altitude });
+    }
+    return t(lang, "mock_ai.tip", { altitude });
+  }
+
+  async function completeJson({ context = {} }) {
+    const { tonight, moon, skyBrightness, targets = [], lang } = context;
+    const warnings = [];
+    if (tonight?.verdict === "bad") warnings.push(t(lang, "mock_ai.warning_bad"));
+    if (tonight?.forecast_available === false) warnings.push(tonight.note);
+    if (moon?.deep_sky_impact === "moderate" || moon?.deep_sky_impact === "severe") {
+      warnings.push(t(lang, "mock_ai.warning_moon"));
+    }
+    if (skyBrightness?.bortle >= 7) warnings.push(t(lang, "mock_ai.warning_light_pollution"));
+
+    const picks = targets.slice(0, tonight?.verdict === "bad" ? 2 : 5);
+    const verdict = tonight?.verdict_label || tonight?.verdict || "?";
+    return {
+      summary: t(lang, "mock_ai.summary", { verdict, count: picks.length }),
+      targets: picks.map(o => ({ id: o.id, tip: tip(o, lang) })),
+      warnings,
+    };
+  }
+
+  return { name, model: "mock", completeJson };
+}
+
+module.exports = {
+  createMockProvider,
+};
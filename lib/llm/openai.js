@@ -0,0 +1,59 @@
+const OpenAI = require("openai");
+const { UpstreamError } = require("../errors");
+
+/**
+ * OpenAI chat completions, or any OpenAI-compatible server (Ollama,
+ * llama.cpp, vLLM, LM Studio, ...) via `baseUrl`. `responseFormat` is
+ * "json_schema" for servers that support structured outputs and
+ * "json_object" for those that only guarantee valid JSON.
+ */
+function createOpenAiProvider({
+  name = "openai",
+  apiKey,
+  baseUrl,
+  model = "gpt-4o-mini",
+  timeoutMs = 15000,
+  retries = 1,
+  responseFormat = "json_schema",
+} = {}) {
+  const client = new OpenAI({
+    // local servers usually ignore the key, but the SDK insists on one
+    apiKey: apiKey || "unused",
+    baseURL: baseUrl,
+    timeout: timeoutMs,
+    maxRetries: retries,
+  });
+
+  async function completeJson({ messages, schema, schemaName, maxTokens = 600 }) {
+    const response_format = responseFormat === "json_schema"
+      ? { type: "json_schema", json_schema: { name: schemaName, schema, strict: true } }
+      : { type: "json_object" };
+
+    let response;
+    try {
+      response = await client.chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature: 0.4,
+        response_format,
+      });
+    } catch (e) {
+      const reason = e instanceof OpenAI.APIConnectionTimeoutError ? `timed out after ${timeoutMs} ms` : e?.message || String(e);
+      throw new UpstreamError(name, `LLM provider ${name} failed: ${reason}`, { status: e?.status ?? null, cause: e });
+    }
+
+    const text = response.choices?.[0]?.message?.content;
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new UpstreamError(name, `LLM provider ${name} did not return JSON`, { cause: e });
+    }
+  }
+
+  return { name, model, completeJson };
+}
+
+module.exports = {
+  createOpenAiProvider,
+};
@@ -0,0 +1,60 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// per-request fields (request_id, ...) added to every line logged while handling it
+const CONTEXT = new AsyncLocalStorage();
+
+function withLogContext(fields, fn) {
+  return CONTEXT.run(fields, fn);
+}
+
+function logContext() {
+  return CONTEXT.getStore() || {};
+}
+
+function errorFields(err) {
+  if (!(err instanceof Error)) return { message: String(err) };
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code !== undefined && { code: err.code }),
+    ...(err.provider !== undefined && { provider: err.provider }),
+    stack: err.stack,
+  };
+}
+
+/**
+ * One JSON object per line: { time, level, msg, request_id?, ...fields }.
+ * An `err` field is expanded into { name, message, code?, stack }. Lines
+ * below LOG_LEVEL (default "info") are dropped; warn and error go to stderr.
+ */
+function write(level, msg, fields = {}) {
+  const min = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  if (LEVELS[level] < min) return;
+
+  const { err, ...rest } = fields;
+  const line = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...logContext(),
+    ...rest,
+    ...(err !== undefined && { err: errorFields(err) }),
+  };
+  const out = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  out.write(JSON.stringify(line) + "\n");
+}
+
+const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+module.exports = {
+  log,
+  logContext,
+  withLogContext,
+};
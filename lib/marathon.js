@@ -0,0 +1,259 @@
+const Astronomy = require("astronomy-engine");
+const { DateTime } = require("luxon");
+const { computeTwilight, toLocalIso } = require("./twilight");
+const { loadCatalogs } = require("./catalogs");
+const { moonPhaseName } = require("./moon");
+
+// marathoners start in nautical twilight and chase objects down to the horizon
+const MARATHON_DARKNESS = "nautical";
+const DEFAULT_MIN_ALTITUDE_DEG = 5;
+const DEFAULT_MINUTES_PER_OBJECT = 4;
+// the season scan samples the same way, so its counts match a planned night
+const STEP_MINUTES = 5;
+// nights either side of each new Moon tried by the season scan
+const NEW_MOON_SPAN_DAYS = 3;
+const BEST_DATES = 3;
+
+const DEG = Math.PI / 180;
+const MINUTE_MS = 60 * 1000;
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+// geometric altitude from hour angle; plenty for sequencing at 5-minute steps
+function altitudeAt(lat, lstDeg, o) {
+  const h = (lstDeg - o.ra_deg) * DEG;
+  const s = Math.sin(lat * DEG) * Math.sin(o.dec_deg * DEG) +
+    Math.cos(lat * DEG) * Math.cos(o.dec_deg * DEG) * Math.cos(h);
+  return Math.asin(Math.max(-1, Math.min(1, s))) / DEG;
+}
+
+function localSiderealDeg(date, lon) {
+  return (Astronomy.SiderealTime(date) * 15 + lon + 360) % 360;
+}
+
+function highestAltitude(lat, o) {
+  return 90 - Math.abs(lat - o.dec_deg);
+}
+
+/**
+ * Sample every object's altitude over [start, end] and find when it is at
+ * least `minAltitude` up. Returns { times, visibility } where
+ * visibility[i][k] is true when object i is up at times[k].
+ */
+function sampleNight(objects, { lat, lon, start, end, minAltitude, stepMinutes }) {
+  const times = [];
+  for (let t = start.getTime(); t <= end.getTime(); t += stepMinutes * MINUTE_MS) times.push(new Date(t));
+  const lst = times.map(d => localSiderealDeg(d, lon));
+  const visibility = objects.map(o => lst.map(l => altitudeAt(lat, l, o) >= minAltitude));
+  return { times, visibility };
+}
+
+/**
+ * Greedy marathon sequence: at each step observe, among objects that are
+ * up, the one whose visibility ends soonest; when nothing is up, wait for
+ * the next riser. Returns { sequence: [{ index, minutes }], missed } with
+ * object indices and minutes after the start of the night. The clock runs
+ * in whole `minutesPerObject`; an object counts as up when it is up at the
+ * samples either side of the clock.
+ */
+function sequenceNight(objects, { visibility, times }, { stepMinutes, minutesPerObject }) {
+  const steps = times.length;
+  const lastUp = visibility.map(v => v.lastIndexOf(true));
+  const remaining = new Set(objects.map((o, i) => i).filter(i => lastUp[i] >= 0));
+  const sequence = [];
+  let minutes = 0;
+
+  while (remaining.size) {
+    const before = Math.floor(minutes / stepMinutes);
+    const after = Math.ceil(minutes / stepMinutes);
+    if (after >= steps) break;
+    let pick = null;
+    for (const i of remaining) {
+      if (!visibility[i][before] || !visibility[i][after]) continue;
+      if (pick === null || lastUp[i] < lastUp[pick]) pick = i;
+    }
+    if (pick === null) {
+      // wait for the next sample where something unobserved is up
+      let next = steps;
+      for (const i of remaining) {
+        const at = visibility[i].indexOf(true, before + 1);
+        if (at !== -1 && at < next) next = at;
+      }
+      minutes = next * stepMinutes;
+      continue;
+    }
+    sequence.push({ index: pick, minutes });
+    remaining.delete(pick);
+    minutes += minutesPerObject;
+  }
+
+  return { sequence, missed: [...remaining] };
+}
+
+// the night that starts on the evening of `date` (local to `tz`)
+function eveningOf(date, tz) {
+  return DateTime.fromJSDate(date, { zone: tz }).set({ hour: 12, minute: 0, second: 0, millisecond: 0 }).toJSDate();
+}
+
+function runNight(objects, { lat, lon, noon, tz, minAltitude, minutesPerObject, stepMinutes }) {
+  const { twilight, dark } = computeTwilight({ lat, lon, now: noon, tz, darkness: MARATHON_DARKNESS });
+  if (!dark) return { twilight, dark: null, samples: null, result: null };
+  const samples = sampleNight(objects, { lat, lon, start: dark.start, end: dark.end, minAltitude, stepMinutes });
+  const result = sequenceNight(objects, samples, { stepMinutes, minutesPerObject });
+  return { twilight, dark, samples, result };
+}
+
+function moonAt(date) {
+  const illum = Astronomy.Illumination(Astronomy.Body.Moon, date);
+  return {
+    phase_name: moonPhaseName(Astronomy.MoonPhase(date)),
+    illuminated_fraction: Math.round(illum.phase_fraction * 100) / 100,
+  };
+}
+
+/**
+ * For every new Moon in `year`, the night within a few days of it that
+ * fits the most Messier objects. Returns them in date order.
+ */
+function marathonSeason(objects, { lat, lon, tz, year, minAltitude, minutesPerObject }) {
+  const nights = [];
+  let from = DateTime.fromObject({ year, month: 1, day: 1 }, { zone: tz }).minus({ days: NEW_MOON_SPAN_DAYS }).toJSDate();
+  const yearEnd = DateTime.fromObject({ year: year + 1, month: 1, day: 1 }, { zone: tz }).toJSDate();
+
+  for (;;) {
+    const newMoon = Astronomy.SearchMoonPhase(0, from, 40)?.date;
+    if (!newMoon || newMoon >= yearEnd) break;
+    from = new Date(newMoon.getTime() + 20 * 24 * 3600 * 1000);
+
+    let best = null;
+    for (let d = -NEW_MOON_SPAN_DAYS; d <= NEW_MOON_SPAN_DAYS; d++) {
+      const noon = eveningOf(new Date(newMoon.getTime() + d * 24 * 3600 * 1000), tz);
+      if (DateTime.fromJSDate(noon, { zone: tz }).year !== year) continue;
+      const night = runNight(objects, { lat, lon, noon, tz, minAltitude, minutesPerObject, stepMinutes: STEP_MINUTES });
+      if (!night.result) continue;
+      const midnight = new Date((night.dark.start.getTime() + night.dark.end.getTime()) / 2);
+      const candidate = {
+        date: toLocalIso(noon, tz).slice(0, 10),
+        new_moon: toLocalIso(newMoon, tz),
+        possible: night.result.sequence.length,
+        moon_illuminated_fraction: moonAt(midnight).illuminated_fraction,
+      };
+      if (!best || candidate.possible > best.possible ||
+        (candidate.possible === best.possible && candidate.moon_illuminated_fraction < best.moon_illuminated_fraction)) {
+        best = candidate;
+      }
+    }
+    if (best) nights.push(best);
+  }
+  return nights;
+}
+
+function brief(o) {
+  return {
+    id: o.id,
+    common_name: o.common_name,
+    type: o.type,
+    constellation: o.constellation,
+    magnitude: o.magnitude,
+  };
+}
+
+/**
+ * Messier marathon for the night starting on the evening of `date` at
+ * lat/lon: the full observing order from nautical dusk to dawn (each object
+ * when it is `minAltitude` up, the ones about to set first), the objects
+ * that cannot fit, those that never clear `minAltitude` from this latitude,
+ * and the best marathon nights of `date`'s year.
+ */
+function planMarathon({
+  lat,
+  lon,
+  date,
+  tz,
+  minAltitude = DEFAULT_MIN_ALTITUDE_DEG,
+  minutesPerObject = DEFAULT_MINUTES_PER_OBJECT,
+}) {
+  const all = loadCatalogs(["messier"]);
+  const impossible = all.filter(o => highestAltitude(lat, o) < minAltitude);
+  const objects = all.filter(o => highestAltitude(lat, o) >= minAltitude);
+
+  const noon = eveningOf(date, tz);
+  const { twilight, dark, samples, result } = runNight(objects, {
+    lat, lon, noon, tz, minAltitude, minutesPerObject, stepMinutes: STEP_MINUTES,
+  });
+
+  const window = (i) => {
+    const v = samples.visibility[i];
+    return {
+      up_from: toLocalIso(samples.times[v.indexOf(true)], tz),
+      up_until: toLocalIso(samples.times[v.lastIndexOf(true)], tz),
+    };
+  };
+
+  let sequence = [];
+  let missed = [];
+  if (result) {
+    sequence = result.sequence.map(({ index, minutes }, n) => {
+      const o = objects[index];
+      const at = new Date(dark.start.getTime() + minutes * MINUTE_MS);
+      return {
+        order: n + 1,
+        ...brief(o),
+        time: toLocalIso(at, tz),
+        altitude_deg: round1(altitudeAt(lat, localSiderealDeg(at, lon), o)),
+        ...window(index),
+      };
+    });
+    const scheduled = new Set(result.sequence.map(s => s.index));
+    missed = objects
+      .map((o, i) => ({ o, i }))
+      .filter(({ i }) => !scheduled.has(i))
+      .map(({ o, i }) => {
+        const up = result.missed.includes(i);
+        return {
+          ...brief(o),
+          reason: up ? "no_time" : "not_up_tonight",
+          ...(up ? window(i) : { up_from: null, up_until: null }),
+        };
+      });
+  } else {
+    missed = objects.map(o => ({ ...brief(o), reason: "no_darkness", up_from: null, up_until: null }));
+  }
+
+  const season = marathonSeason(objects, {
+    lat, lon, tz, year: DateTime.fromJSDate(noon, { zone: tz }).year, minAltitude, minutesPerObject,
+  });
+  const best_dates = [...season]
+    .sort((a, b) => b.possible - a.possible || a.moon_illuminated_fraction - b.moon_illuminated_fraction)
+    .slice(0, BEST_DATES);
+
+  const midnight = dark ? new Date((dark.start.getTime() + dark.end.getTime()) / 2) : noon;
+  return {
+    night: {
+      date: toLocalIso(noon, tz).slice(0, 10),
+      darkness: MARATHON_DARKNESS,
+      start: twilight.dark_start,
+      end: twilight.dark_end,
+    },
+    moon: moonAt(midnight),
+    total: all.length,
+    possible: sequence.length,
+    sequence,
+    missed,
+    impossible: impossible.map(o => ({
+      ...brief(o),
+      reason: "never_rises",
+      max_altitude_deg: round1(highestAltitude(lat, o)),
+    })),
+    best_dates,
+    season,
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_ALTITUDE_DEG,
+  DEFAULT_MINUTES_PER_OBJECT,
+  planMarathon,
+};
@@ -0,0 +1,130 @@
+// in seconds; covers cached responses up to slow upstream calls
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const REGISTRY = [];
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(n => String(labels[n] ?? "")));
+}
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = "") {
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function counter(name, help, labelNames = []) {
+  const series = new Map();
+  const metric = {
+    inc(labels = {}, by = 1) {
+      const k = labelKey(labelNames, labels);
+      series.set(k, (series.get(k) || 0) + by);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [k, v] of series) lines.push(`${name}${formatLabels(labelNames, JSON.parse(k))} ${v}`);
+      return lines;
+    },
+  };
+  REGISTRY.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map();
+  const metric = {
+    observe(labels, seconds) {
+      const k = labelKey(labelNames, labels);
+      let s = series.get(k);
+      if (!s) {
+        s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(k, s);
+      }
+      buckets.forEach((b, i) => {
+        if (seconds <= b) s.counts[i]++;
+      });
+      s.sum += seconds;
+      s.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [k, s] of series) {
+        const values = JSON.parse(k);
+        buckets.forEach((b, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${b}"`)} ${s.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${s.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${s.count}`);
+      }
+      return lines;
+    },
+  };
+  REGISTRY.push(metric);
+  return metric;
+}
+
+const httpRequests = counter(
+  "http_requests_total",
+  "HTTP requests by route pattern, method and status.",
+  ["route", "method", "status"],
+);
+const httpDuration = histogram(
+  "http_request_duration_seconds",
+  "HTTP request latency by route pattern and method.",
+  ["route", "method"],
+);
+const upstreamDuration = histogram(
+  "upstream_request_duration_seconds",
+  "Latency of weather and AI provider calls, failed ones included.",
+  ["service", "provider"],
+);
+const upstreamFailures = counter(
+  "upstream_failures_total",
+  "Weather and AI provider calls that failed.",
+  ["service", "provider"],
+);
+const cacheLookups = counter(
+  "cache_lookups_total",
+  "Weather and AI-plan cache lookups by result (hit or miss).",
+  ["cache", "result"],
+);
+
+/**
+ * Run `fn` (a provider call) and record its latency, and a failure if it
+ * throws, under `service` ("weather", "ai") and `provider`.
+ */
+async function timeUpstream(service, provider, fn) {
+  const started = process.hrtime.bigint();
+  try {
+    return await fn();
+  } catch (e) {
+    upstreamFailures.inc({ service, provider });
+    throw e;
+  } finally {
+    upstreamDuration.observe({ service, provider }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+}
+
+function recordCacheLookup(cache, hit) {
+  cacheLookups.inc({ cache, result: hit ? "hit" : "miss" });
+}
+
+/**
+ * Every metric in the Prometheus text exposition format (0.0.4).
+ */
+function renderMetrics() {
+  return REGISTRY.flatMap(m => m.render()).join("\n") + "\n";
+}
+
+module.exports = {
+  httpDuration,
+  httpRequests,
+  recordCacheLookup,
+  renderMetrics,
+  timeUpstream,
+};
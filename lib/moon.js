@@ -0,0 +1,140 @@
+const Astronomy = require("astronomy-engine");
+const { toLocalIso } = require("./twilight");
+
+const PHASE_NAMES = [
+  "New Moon",
+  "Waxing Crescent",
+  "First Quarter",
+  "Waxing Gibbous",
+  "Full Moon",
+  "Waning Gibbous",
+  "Last Quarter",
+  "Waning Crescent",
+];
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+// phaseDeg: 0 = new, 90 = first quarter, 180 = full, 270 = last quarter
+function moonPhaseName(phaseDeg) {
+  const i = Math.floor(((phaseDeg + 22.5) % 360) / 45);
+  return PHASE_NAMES[i];
+}
+
+function angularSeparationDeg(ra1Deg, dec1Deg, ra2Deg, dec2Deg) {
+  const rad = Math.PI / 180;
+  const d1 = dec1Deg * rad;
+  const d2 = dec2Deg * rad;
+  const dRa = (ra1Deg - ra2Deg) * rad;
+  const c = Math.sin(d1) * Math.sin(d2) + Math.cos(d1) * Math.cos(d2) * Math.cos(dRa);
+  return Math.acos(Math.min(1, Math.max(-1, c))) / rad;
+}
+
+/**
+ * Topocentric RA/Dec (degrees) and altitude of the Moon at `date`.
+ */
+function moonPosition(observer, date) {
+  const eq = Astronomy.Equator(Astronomy.Body.Moon, date, observer, true, true);
+  const hor = Astronomy.Horizon(date, observer, eq.ra, eq.dec, "normal");
+  return {
+    ra_deg: eq.ra * 15,
+    dec_deg: eq.dec,
+    altitude_deg: hor.altitude,
+  };
+}
+
+/**
+ * How much the Moon hurts deep-sky observing during the window.
+ */
+function deepSkyImpact(illum, upDuringWindow) {
+  if (!upDuringWindow) return "none";
+  if (illum >= 0.7) return "severe";
+  if (illum >= 0.35) return "moderate";
+  return "none";
+}
+
+/**
+ * Moon phase, rise/set around tonight and its altitude during the best window.
+ * `night` is { sunset, sunrise } (JS Dates) from computeTwilight, or null.
+ * `windowStart`/`windowEnd` are JS Dates (or null when there's no window).
+ */
+function computeMoon({ lat, lon, now = new Date(), night, windowStart, windowEnd, tz }) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const ref = windowStart || night?.sunset || now;
+
+  const illum = Astronomy.Illumination(Astronomy.Body.Moon, ref);
+  const phaseDeg = Astronomy.MoonPhase(ref);
+
+  // search from a few hours before sunset so a Moon that is already up
+  // at dusk still reports tonight's rise time
+  const from = new Date((night?.sunset || now).getTime() - 6 * 3600 * 1000);
+  const rise = Astronomy.SearchRiseSet(Astronomy.Body.Moon, observer, +1, from, 1.25);
+  const set = Astronomy.SearchRiseSet(Astronomy.Body.Moon, observer, -1, from, 1.25);
+
+  const pos = moonPosition(observer, ref);
+
+  let window = null;
+  if (windowStart) {
+    const endAlt = moonPosition(observer, windowEnd || windowStart).altitude_deg;
+    window = {
+      start_altitude_deg: round1(pos.altitude_deg),
+      end_altitude_deg: round1(endAlt),
+      up: pos.altitude_deg > 0 || endAlt > 0,
+    };
+  }
+
+  return {
+    illuminated_fraction: Math.round(illum.phase_fraction * 100) / 100,
+    phase_deg: round1(phaseDeg),
+    phase_name: moonPhaseName(phaseDeg),
+    moonrise: toLocalIso(rise?.date, tz),
+    moonset: toLocalIso(set?.date, tz),
+    ra_deg: round1(pos.ra_deg),
+    dec_deg: round1(pos.dec_deg),
+    altitude_deg: round1(pos.altitude_deg),
+    best_window: window,
+    deep_sky_impact: deepSkyImpact(illum.phase_fraction, window ? window.up : pos.altitude_deg > 0),
+  };
+}
+
+// How badly moonlight hurts a given object type (1 = fully diffuse)
+const MOON_SENSITIVITY = {
+  galaxy: 1.0,
+  nebula: 1.0,
+  supernova_remnant: 1.0,
+  planetary_nebula: 0.5,
+  globular_cluster: 0.3,
+};
+
+function moonSensitivity(type) {
+  return MOON_SENSITIVITY[type] ?? 0.1; // open clusters, star clouds, asterisms, doubles
+}
+
+/**
+ * Score penalty for an object given the Moon returned by computeMoon.
+ * Grows with illumination, Moon altitude, proximity and object faintness.
+ */
+function moonPenalty({ raDeg, decDeg, mag, type }, moon) {
+  if (!moon || moon.altitude_deg <= 0) return { penalty: 0, separation: null };
+
+  const sep = angularSeparationDeg(raDeg, decDeg, moon.ra_deg, moon.dec_deg);
+
+  // a bright Moon lifts the whole sky, more so close to it
+  const proximity = 0.3 + 0.7 * Math.max(0, 1 - sep / 90);
+  const altFactor = 0.5 + 0.5 * Math.min(1, moon.altitude_deg / 30);
+  const faintness = Number.isFinite(mag) ? Math.min(1, Math.max(0.3, (mag - 4) / 6)) : 1;
+
+  const penalty =
+    60 * moonSensitivity(type) * moon.illuminated_fraction * altFactor * proximity * faintness;
+
+  return { penalty, separation: sep };
+}
+
+module.exports = {
+  angularSeparationDeg,
+  computeMoon,
+  moonPenalty,
+  moonPhaseName,
+  moonPosition,
+};
@@ -0,0 +1,111 @@
+const { computeTwilight, darkHourIndices } = require("./twilight");
+const { computeMoon } = require("./moon");
+const { skyQualityHours } = require("./sky-quality");
+const { computeBestWindow, summarizeTonight, toDateInWeatherTZ } = require("./conditions");
+const { pickTargets } = require("./targets");
+
+/**
+ * When to look if the forecast does not reach the night: `from` if it falls
+ * in the dark interval, else the start of darkness; `windowHours` long.
+ */
+function astronomyWindow(dark, from, windowHours) {
+  const start = from > dark.start && from < dark.end ? from : dark.start;
+  const end = new Date(Math.min(dark.end.getTime(), start.getTime() + windowHours * 3600 * 1000));
+  return { start, end };
+}
+
+// whether the forecast hours reach into the dark interval at all, past or not
+function forecastCovers(weather, dark) {
+  const times = weather.hourly.time;
+  if (!times.length) return false;
+  const first = toDateInWeatherTZ(times[0], weather.timezone);
+  const last = toDateInWeatherTZ(times[times.length - 1], weather.timezone);
+  return first <= dark.end && last >= dark.start;
+}
+
+/**
+ * Everything we know about the night that contains `from` (or the next one if
+ * it is still daytime): twilight, forecast verdict, best window, the Moon and
+ * the top targets at the start of the best window. `now` keeps hours that
+ * are already past out of the weather summary; `windowHours` is the length
+ * of the best window.
+ *
+ * When the forecast does not cover the night (past or too far ahead),
+ * `tonight.forecast_available` is false, the verdict and best window are
+ * null, and the Moon and targets are for astronomyWindow() instead.
+ *
+ * Returns { twilight, dark, night, darkIdx, sky, best_window, windowStart,
+ * targetsAt, moon, tonight, targets }; `dark`, `night`, `windowStart` and
+ * `targetsAt` are JS Dates.
+ */
+function assessNight({
+  lat,
+  lon,
+  weather,
+  from,
+  now = from,
+  darkness,
+  gear,
+  skyBrightness,
+  catalogs,
+  observed = null,
+  horizon = null,
+  maxTargets = 8,
+  windowHours = 2,
+}) {
+  const tz = weather.timezone;
+  const { twilight, dark, night } = computeTwilight({ lat, lon, now: from, tz, darkness });
+  const darkIdx = darkHourIndices(weather, dark, now, toDateInWeatherTZ);
+
+  const sky = skyQualityHours(weather, darkIdx);
+  const best_window = computeBestWindow(weather, darkIdx, sky, windowHours);
+  const windowStart = best_window ? toDateInWeatherTZ(best_window.start, tz) : null;
+  const windowEnd = best_window ? toDateInWeatherTZ(best_window.end, tz) : null;
+
+  // a dark night with no forecast hours in it is beyond the forecast, not
+  // cloudy; one whose dark hours are all past is still covered
+  const forecastAvailable = !dark || forecastCovers(weather, dark);
+  const astro = forecastAvailable ? null : astronomyWindow(dark, from, windowHours);
+  const targetsAt = astro ? astro.start : windowStart;
+  const moon = computeMoon({
+    lat,
+    lon,
+    now: from,
+    night,
+    windowStart: targetsAt,
+    windowEnd: astro ? astro.end : windowEnd,
+    tz,
+  });
+
+  const tonight = forecastAvailable
+    ? { ...summarizeTonight(weather, darkIdx, darkness, sky), forecast_available: true }
+    : {
+      ...summarizeTonight(weather, [], darkness, []),
+      verdict: null,
+      forecast_available: false,
+      note: "No forecast available for this night.",
+    };
+
+  let targets = [];
+  if (targetsAt && maxTargets > 0) {
+    targets = pickTargets({
+      lat,
+      lon,
+      date: targetsAt,
+      gear,
+      skyBrightness,
+      moon,
+      verdict: tonight.verdict,
+      catalogs,
+      observed,
+      horizon,
+      max: maxTargets,
+    });
+  }
+
+  return { twilight, dark, night, darkIdx, sky, best_window, windowStart, targetsAt, moon, tonight, targets };
+}
+
+module.exports = {
+  assessNight,
+};
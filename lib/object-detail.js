@@ -0,0 +1,113 @@
+const Astronomy = require("astronomy-engine");
+const { DateTime } = require("luxon");
+const { computeTwilight, toLocalIso } = require("./twilight");
+const { moonPenalty, moonPosition } = require("./moon");
+const { objectRiseTransitSet } = require("./rise-set");
+const { MIN_ALTITUDE_DEG } = require("./targets");
+
+const SAMPLE_MINUTES = 15;
+const MINUTE_MS = 60 * 1000;
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+/**
+ * Altitude/azimuth (degrees, refracted) of a catalog object or solar-system
+ * body at `date`.
+ */
+function horizontalAt(o, observer, date) {
+  let raHours = o.ra_deg / 15;
+  let decDeg = o.dec_deg;
+  if (o.body) {
+    const eq = Astronomy.Equator(o.body, date, observer, true, true);
+    raHours = eq.ra;
+    decDeg = eq.dec;
+  }
+  const hor = Astronomy.Horizon(date, observer, raHours, decDeg, "normal");
+  return { altitude: hor.altitude, azimuth: hor.azimuth, raDeg: raHours * 15, decDeg };
+}
+
+// how the object fares during one night's dark period, or null if it never gets dark
+function nightFor(o, { lat, lon, observer, noon, tz, darkness }) {
+  const { dark, night } = computeTwilight({ lat, lon, now: noon, tz, darkness });
+  if (!dark) return null;
+
+  let best = null;
+  let minutesUp = 0;
+  for (let t = dark.start.getTime(); t <= dark.end.getTime(); t += SAMPLE_MINUTES * MINUTE_MS) {
+    const at = new Date(t);
+    const { altitude, raDeg, decDeg } = horizontalAt(o, observer, at);
+    if (altitude >= MIN_ALTITUDE_DEG) minutesUp += SAMPLE_MINUTES;
+    if (!best || altitude > best.altitude) best = { at, altitude, raDeg, decDeg };
+  }
+  if (minutesUp === 0) return null;
+
+  const moon = {
+    ...moonPosition(observer, best.at),
+    illuminated_fraction: Astronomy.Illumination(Astronomy.Body.Moon, best.at).phase_fraction,
+  };
+  const { penalty, separation } = o.body === "Moon"
+    ? { penalty: 0, separation: null }
+    : moonPenalty({ raDeg: best.raDeg, decDeg: best.decDeg, mag: o.magnitude ?? NaN, type: o.type }, moon);
+
+  return {
+    date: toLocalIso(night.sunset, tz).slice(0, 10),
+    best_time: toLocalIso(best.at, tz),
+    max_altitude_deg: round1(best.altitude),
+    hours_above_min_altitude: round1(minutesUp / 60),
+    moon_illuminated_fraction: Math.round(moon.illuminated_fraction * 100) / 100,
+    moon_altitude_deg: round1(moon.altitude_deg),
+    moon_separation_deg: separation === null ? null : Math.round(separation),
+    score: round1(best.altitude + (minutesUp / 60) * 5 - penalty),
+  };
+}
+
+/**
+ * Best `count` nights from `date` to the end of its calendar month (in `tz`),
+ * by altitude during darkness, hours above MIN_ALTITUDE_DEG and moonlight.
+ * Weather is not considered: most of the month is beyond any forecast.
+ */
+function bestNightsInMonth({ lat, lon, o, date, tz, darkness, count = 5 }) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const day = DateTime.fromJSDate(date, { zone: tz }).startOf("day");
+
+  const nights = [];
+  for (let d = 0; d <= day.daysInMonth - day.day; d++) {
+    const noon = day.plus({ days: d, hours: 12 }).toJSDate();
+    const n = nightFor(o, { lat, lon, observer, noon, tz, darkness });
+    if (n) nights.push(n);
+  }
+  return nights.sort((a, b) => b.score - a.score).slice(0, count);
+}
+
+/**
+ * Where `o` is at `date` and its rise/transit/set around that night.
+ */
+function objectPosition({ lat, lon, o, date, tz, darkness }) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const { night } = computeTwilight({ lat, lon, now: date, tz, darkness });
+  const around = night ? new Date((night.sunset.getTime() + night.sunrise.getTime()) / 2) : date;
+
+  const rts = objectRiseTransitSet({ lat, lon, o, around });
+  const now = horizontalAt(o, observer, date);
+
+  return {
+    at: toLocalIso(date, tz),
+    altitude_deg: round1(now.altitude),
+    azimuth_deg: round1(now.azimuth),
+    above_horizon: now.altitude > 0,
+    rise: toLocalIso(rts.rise, tz),
+    transit: toLocalIso(rts.transit, tz),
+    set: toLocalIso(rts.set, tz),
+    max_altitude_deg: round1(rts.transit_altitude_deg),
+    circumpolar: rts.circumpolar,
+    never_rises: rts.never_rises,
+  };
+}
+
+module.exports = {
+  bestNightsInMonth,
+  horizontalAt,
+  objectPosition,
+};
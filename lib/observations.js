@@ -0,0 +1,137 @@
+const crypto = require("crypto");
+const { ApiError } = require("./errors");
+const { getStore } = require("./store");
+const { CATALOGS, loadCatalogs } = require("./catalogs");
+const { resolveObject } = require("./outlook");
+
+/**
+ * Observing sessions, one document per store:
+ *
+ *   { sessions: [{ id, user_id, created_at, started_at, site_name, lat, lon,
+ *                  equipment, sky_brightness, conditions, notes,
+ *                  observations: [{ id, object_id, kind, designations,
+ *                                   common_name, observed_at, seeing,
+ *                                   transparency, eyepiece, notes }] }] }
+ */
+function store() {
+  return getStore("observations", { sessions: [] });
+}
+
+function findOwnSession(doc, userId, sessionId) {
+  const s = doc.sessions.find(x => x.id === sessionId && x.user_id === userId);
+  if (!s) throw new ApiError(404, "not_found", { key: "errors.not_found.session", params: { id: sessionId } });
+  return s;
+}
+
+function summary(s) {
+  const { observations, ...rest } = s;
+  return { ...rest, observation_count: observations.length };
+}
+
+async function createSession(userId, fields) {
+  const session = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    created_at: new Date().toISOString(),
+    started_at: fields.started_at ?? null,
+    site_name: fields.site_name ?? null,
+    lat: fields.lat,
+    lon: fields.lon,
+    equipment: fields.equipment ?? null,
+    sky_brightness: fields.sky_brightness ?? null,
+    conditions: fields.conditions ?? null,
+    notes: fields.notes ?? null,
+    observations: [],
+  };
+  await store().update(doc => { doc.sessions.push(session); });
+  return session;
+}
+
+/**
+ * The user's sessions, newest first, without their observation lists.
+ */
+async function listSessions(userId, { limit = 20, offset = 0 } = {}) {
+  const doc = await store().read();
+  const own = doc.sessions
+    .filter(s => s.user_id === userId)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  return { total: own.length, sessions: own.slice(offset, offset + limit).map(summary) };
+}
+
+async function getSession(userId, sessionId) {
+  return findOwnSession(await store().read(), userId, sessionId);
+}
+
+/**
+ * Log one object in a session. `fields.object` is a catalog designation or a
+ * planet/Moon id; planets are placed using the session's site.
+ */
+async function addObservation(userId, sessionId, fields) {
+  return store().update(doc => {
+    const s = findOwnSession(doc, userId, sessionId);
+    const observedAt = fields.observed_at ?? new Date().toISOString();
+    const o = resolveObject(fields.object, { lat: s.lat, lon: s.lon, date: new Date(observedAt) });
+    if (!o) {
+      throw new ApiError(400, "invalid_request", {
+        key: "errors.unknown_object",
+        params: { field: "object", value: fields.object },
+      }, { field: "object" });
+    }
+
+    const entry = {
+      id: crypto.randomUUID(),
+      object_id: o.id,
+      kind: o.kind,
+      designations: o.designations,
+      common_name: o.common_name,
+      observed_at: observedAt,
+      seeing: fields.seeing ?? null,
+      transparency: fields.transparency ?? null,
+      eyepiece: fields.eyepiece ?? null,
+      notes: fields.notes ?? null,
+    };
+    s.observations.push(entry);
+    return entry;
+  });
+}
+
+/**
+ * Ids of every object the user has logged, across all sessions.
+ */
+async function observedObjectIds(userId) {
+  const doc = await store().read();
+  const ids = new Set();
+  for (const s of doc.sessions) {
+    if (s.user_id !== userId) continue;
+    for (const o of s.observations) ids.add(o.object_id);
+  }
+  return ids;
+}
+
+/**
+ * Per-catalog completion, e.g. { id: "messier", observed: 47, total: 110 }.
+ */
+async function catalogProgress(userId) {
+  const seen = await observedObjectIds(userId);
+  return Object.entries(CATALOGS).map(([id, c]) => {
+    const objects = loadCatalogs([id]);
+    const observed = objects.filter(o => seen.has(o.id)).length;
+    return {
+      id,
+      name: c.name,
+      complete: c.complete,
+      observed,
+      total: objects.length,
+      percent: objects.length ? Math.round((observed / objects.length) * 1000) / 10 : 0,
+    };
+  });
+}
+
+module.exports = {
+  addObservation,
+  catalogProgress,
+  createSession,
+  getSession,
+  listSessions,
+  observedObjectIds,
+};
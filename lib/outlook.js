@@ -0,0 +1,191 @@
+const { toLocalIso } = require("./twilight");
+const { moonPenalty } = require("./moon");
+const { findObject } = require("./catalogs");
+const { solarSystemObjects } = require("./solar-system");
+const { targetVisibility } = require("./light-pollution");
+const { MIN_ALTITUDE_DEG, horizontalDeg } = require("./targets");
+const { compassPoint, horizonMask } = require("./horizon");
+const { assessNight } = require("./night");
+const { DEFAULT_LANG, localizeConditions, localizeMoon, localizeObject, t } = require("./i18n");
+
+// added to the best-window score (lower is better) when the Moon is in the way
+const MOON_IMPACT_PENALTY = { none: 0, moderate: 10, severe: 25 };
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+// nights without a forecast window can't be ranked
+function nightScore(a) {
+  if (!a.best_window) return null;
+  return a.best_window.score + (MOON_IMPACT_PENALTY[a.moon.deep_sky_impact] ?? 0);
+}
+
+/**
+ * Catalog object or solar-system body (by id, e.g. "saturn") for the
+ * `object` option, or null when we don't know it.
+ */
+function resolveObject(designation, { lat, lon, date }) {
+  const o = findObject(designation);
+  if (o) return { kind: "deep_sky", ...o };
+  const id = String(designation).trim().toLowerCase();
+  const body = solarSystemObjects({ lat, lon, date }).find(b => b.id === id);
+  return body ? { kind: body.type, ...body } : null;
+}
+
+// where `target` is at the night's best window (or mid-darkness without one);
+// `up` means above the horizon profile and visible
+function objectOnNight(target, a, { lat, lon, gear, skyBrightness, horizon }) {
+  const at = a.windowStart || (a.dark && new Date((a.dark.start.getTime() + a.dark.end.getTime()) / 2));
+  if (!at) {
+    return { altitude_deg: null, azimuth_deg: null, compass: null, moon_separation_deg: null, visibility: null, up: false, penalty: 0 };
+  }
+
+  let o = target;
+  let alt;
+  let az;
+  if (target.kind === "deep_sky") {
+    ({ altitude: alt, azimuth: az } = horizontalDeg(lat, lon, at, o.ra_deg, o.dec_deg));
+  } else {
+    o = solarSystemObjects({ lat, lon, date: at }).find(b => b.id === target.id);
+    alt = o.altitude;
+    az = o.azimuth;
+  }
+
+  const { penalty, separation } = o.id === "moon"
+    ? { penalty: 0, separation: null }
+    : moonPenalty({ raDeg: o.ra_deg, decDeg: o.dec_deg, mag: o.magnitude ?? NaN, type: o.type }, a.moon);
+  const visibility = targetVisibility(o, { gear, skyBrightness });
+
+  return {
+    altitude_deg: round1(alt),
+    azimuth_deg: round1(az),
+    compass: compassPoint(az),
+    moon_separation_deg: separation === null ? null : Math.round(separation),
+    visibility,
+    up: alt >= horizonMask(horizon, MIN_ALTITUDE_DEG)(az) && visibility !== "not_visible",
+    penalty,
+  };
+}
+
+function briefTarget(t) {
+  return {
+    id: t.id,
+    kind: t.kind,
+    common_name: t.common_name,
+    type: t.type,
+    magnitude: t.magnitude,
+    altitude_deg: t.altitude_deg,
+    compass: t.compass,
+    visibility: t.visibility,
+    score: t.score,
+  };
+}
+
+/**
+ * The next `nights` nights from `now`, each with its verdict, best window,
+ * Moon and top targets, ranked best first by weather and moonlight (`rank`
+ * is null for nights beyond the forecast). With `target` (from
+ * resolveObject), also finds the best of those nights for that object.
+ * Labels, names and notes are in `lang`.
+ */
+function buildOutlook({
+  lat,
+  lon,
+  weather,
+  now,
+  nights,
+  darkness,
+  gear,
+  skyBrightness,
+  catalogs,
+  horizon = null,
+  target = null,
+  maxTargets = 5,
+  lang = DEFAULT_LANG,
+}) {
+  const tz = weather.timezone;
+  const assessed = [];
+  let from = now;
+
+  for (let k = 0; k < nights; k++) {
+    const a = assessNight({
+      lat, lon, weather, from, now, darkness, gear, skyBrightness, catalogs, horizon, maxTargets,
+    });
+    if (!a.night) break; // polar day/night: no sunset to anchor on
+    assessed.push(a);
+    from = new Date(a.night.sunrise.getTime() + 60 * 1000);
+  }
+
+  const objectScores = new Map();
+  const out = assessed.map(a => {
+    const night = localizeConditions({
+      date: toLocalIso(a.night.sunset, tz).slice(0, 10),
+      rank: null,
+      score: nightScore(a),
+      verdict: a.tonight.verdict,
+      avg_cloud_cover_percent: a.tonight.avg_cloud_cover_percent,
+      transparency_label: a.tonight.transparency_label,
+      seeing_label: a.tonight.seeing_label,
+      dew_risk: a.tonight.dew_risk,
+      dark_start: a.twilight.dark_start,
+      dark_end: a.twilight.dark_end,
+      dark_hours: a.twilight.dark_hours,
+      dark_hours_in_forecast: a.tonight.dark_hours_in_forecast,
+      best_window: localizeConditions(a.best_window, lang),
+      moon: localizeMoon({
+        phase_name: a.moon.phase_name,
+        illuminated_fraction: a.moon.illuminated_fraction,
+        moonrise: a.moon.moonrise,
+        moonset: a.moon.moonset,
+        deep_sky_impact: a.moon.deep_sky_impact,
+      }, lang),
+      targets: a.targets.map(o => briefTarget(localizeObject(o, lang))),
+    }, lang);
+    if (target) {
+      const { penalty, ...where } = objectOnNight(target, a, { lat, lon, gear, skyBrightness, horizon });
+      night.object = where;
+      if (night.score !== null && where.up) {
+        objectScores.set(night, night.score + penalty - where.altitude_deg * 0.5);
+      }
+    }
+    return night;
+  });
+
+  out
+    .filter(n => n.score !== null)
+    .sort((x, y) => x.score - y.score)
+    .forEach((n, i) => { n.rank = i + 1; });
+
+  const ranked = out.filter(n => n.rank !== null).sort((x, y) => x.rank - y.rank);
+
+  let objectOutlook = null;
+  if (target) {
+    let best = null;
+    for (const [n, score] of objectScores) {
+      if (!best || score < objectScores.get(best)) best = n;
+    }
+    const name = localizeObject(target, lang).common_name;
+    objectOutlook = {
+      id: target.id,
+      kind: target.kind,
+      designations: target.designations,
+      common_name: name,
+      type: target.type,
+      best_night: best ? best.date : null,
+      note: best ? null : t(lang, "outlook.not_well_placed", { name: name || target.id }),
+    };
+  }
+
+  return {
+    nights: out,
+    best_night: ranked.length ? ranked[0].date : null,
+    ranking: ranked.map(n => n.date),
+    object: objectOutlook,
+  };
+}
+
+module.exports = {
+  buildOutlook,
+  resolveObject,
+};
@@ -0,0 +1,61 @@
+const { sendError } = require("./errors");
+const { readJsonBody, requireMethod, routeParam } = require("./http");
+const { requireClient } = require("./access");
+const { requireUser } = require("./auth");
+const { validate } = require("./validation");
+
+/**
+ * Handlers for a per-user collection from profiles.js: `index` serves
+ * GET/POST /<things>, `item` serves GET/PUT/DELETE /<things>/:id. Responses
+ * use `plural` and `singular` as the payload keys. `prepare(userId, body,
+ * existing)` may check a validated body and return the fields to store;
+ * `existing` is null on create.
+ */
+function profileHandlers(collection, schema, { plural, singular, prepare = async (userId, body) => body }) {
+  async function index(req, res) {
+    try {
+      requireMethod(req, res, "GET", "POST");
+      await requireClient(req, res);
+      const { id: userId } = await requireUser(req);
+
+      if (req.method === "GET") {
+        return res.status(200).json({ ok: true, [plural]: await collection.list(userId) });
+      }
+
+      const body = validate(schema, readJsonBody(req));
+      const fields = await prepare(userId, body, null);
+      return res.status(201).json({ ok: true, [singular]: await collection.create(userId, fields) });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  }
+
+  async function item(req, res) {
+    try {
+      requireMethod(req, res, "GET", "PUT", "DELETE");
+      await requireClient(req, res);
+      const { id: userId } = await requireUser(req);
+      const id = routeParam(req, "id");
+
+      if (req.method === "GET") {
+        return res.status(200).json({ ok: true, [singular]: await collection.get(userId, id) });
+      }
+      if (req.method === "DELETE") {
+        await collection.remove(userId, id);
+        return res.status(204).end();
+      }
+
+      const body = validate(schema, readJsonBody(req));
+      const fields = await prepare(userId, body, await collection.get(userId, id));
+      return res.status(200).json({ ok: true, [singular]: await collection.replace(userId, id, fields) });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  }
+
+  return { index, item };
+}
+
+module.exports = {
+  profileHandlers,
+};
@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+const { getStore } = require("./store");
+const { ApiError } = require("./errors");
+
+/**
+ * Per-user records kept in one store file: { items: [{ id, user_id,
+ * created_at, updated_at, ...fields }] }. Every lookup is scoped to the
+ * owner, so another user's id is simply "not found".
+ */
+function createCollection(name, kind) {
+  const store = () => getStore(name, { items: [] });
+
+  function findOwn(doc, userId, id) {
+    const item = doc.items.find(x => x.id === id && x.user_id === userId);
+    if (!item) throw new ApiError(404, "not_found", { key: `errors.not_found.${kind}`, params: { id } });
+    return item;
+  }
+
+  return {
+    async list(userId) {
+      const doc = await store().read();
+      return doc.items.filter(x => x.user_id === userId);
+    },
+
+    async get(userId, id) {
+      return findOwn(await store().read(), userId, id);
+    },
+
+    // like get(), but null instead of a 404
+    async find(userId, id) {
+      const doc = await store().read();
+      return doc.items.find(x => x.id === id && x.user_id === userId) ?? null;
+    },
+
+    // every user's records, for background jobs
+    async all() {
+      const doc = await store().read();
+      return doc.items;
+    },
+
+    async create(userId, fields) {
+      const now = new Date().toISOString();
+      const item = { id: crypto.randomUUID(), user_id: userId, created_at: now, updated_at: now, ...fields };
+      await store().update(doc => { doc.items.push(item); });
+      return item;
+    },
+
+    // PUT semantics: `fields` replaces everything but the bookkeeping
+    async replace(userId, id, fields) {
+      return store().update(doc => {
+        const old = findOwn(doc, userId, id);
+        const item = {
+          id: old.id,
+          user_id: old.user_id,
+          created_at: old.created_at,
+          updated_at: new Date().toISOString(),
+          ...fields,
+        };
+        doc.items[doc.items.indexOf(old)] = item;
+        return item;
+      });
+    },
+
+    // bookkeeping updates that are not user edits; leaves updated_at alone
+    async patch(userId, id, changes) {
+      return store().update(doc => Object.assign(findOwn(doc, userId, id), changes));
+    },
+
+    async remove(userId, id) {
+      await store().update(doc => {
+        const item = findOwn(doc, userId, id);
+        doc.items.splice(doc.items.indexOf(item), 1);
+      });
+    },
+  };
+}
+
+const sites = createCollection("sites", "site");
+const equipmentProfiles = createCollection("equipment", "equipment_profile");
+
+function both(field, other) {
+  return new ApiError(400, "invalid_request", { key: "errors.profile_conflict", params: { field, other } }, { field });
+}
+
+function unknown(field, id) {
+  return new ApiError(400, "invalid_request", { key: "errors.unknown_profile", params: { field, id } }, { field });
+}
+
+/**
+ * A planning request body with `site_id` and `equipment_id` swapped for the
+ * saved values. Sky brightness or a horizon sent in the body beats the
+ * site's own.
+ * Adds `site` (the saved site or null) and fails unless coordinates end up
+ * known one way or the other.
+ */
+async function withSavedProfiles(userId, body) {
+  const out = { ...body, site: null };
+
+  if (body.site_id !== undefined) {
+    if (body.lat !== undefined || body.lon !== undefined) throw both("site_id", "lat/lon");
+    const site = await sites.find(userId, body.site_id);
+    if (!site) throw unknown("site_id", body.site_id);
+    out.site = site;
+    out.lat = site.lat;
+    out.lon = site.lon;
+    if (body.bortle === undefined && body.sqm === undefined) {
+      out.bortle = site.bortle;
+      out.sqm = site.sqm;
+    }
+    if (body.horizon === undefined) out.horizon = site.horizon;
+  } else {
+    for (const field of ["lat", "lon"]) {
+      if (body[field] === undefined) {
+        throw new ApiError(400, "invalid_request", { key: "errors.location_required", params: { field } }, { field });
+      }
+    }
+  }
+
+  if (body.equipment_id !== undefined) {
+    if (body.equipment !== undefined) throw both("equipment_id", "equipment");
+    const profile = await equipmentProfiles.find(userId, body.equipment_id);
+    if (!profile) throw unknown("equipment_id", body.equipment_id);
+    const { id, user_id, name, created_at, updated_at, ...equipment } = profile;
+    out.equipment = equipment;
+  }
+
+  return out;
+}
+
+module.exports = {
+  createCollection,
+  equipmentProfiles,
+  sites,
+  withSavedProfiles,
+};
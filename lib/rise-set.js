@@ -0,0 +1,86 @@
+const Astronomy = require("astronomy-engine");
+
+const SIDEREAL_RATE = 1.00273790935; // sidereal hours per solar hour
+const RISE_SET_ALT_DEG = -0.5667; // standard refraction at the horizon
+const HOUR_MS = 3600 * 1000;
+const DEG = Math.PI / 180;
+
+function wrapHours(h) {
+  return ((h % 24) + 36) % 24 - 12; // -> [-12, 12)
+}
+
+/**
+ * Local hour angle (hours, -12..12) of a fixed RA at `date`.
+ */
+function hourAngleHours(lon, date, raDeg) {
+  const lst = Astronomy.SiderealTime(date) + lon / 15;
+  return wrapHours(lst - raDeg / 15);
+}
+
+/**
+ * Rise, transit and set of a fixed object (star, deep-sky) around `around`.
+ * The transit is the one nearest `around`; rise/set bracket it.
+ * Returns JS Dates (rise/set null when circumpolar or never rising).
+ */
+function fixedRiseTransitSet({ lat, lon, raDeg, decDeg, around }) {
+  const ha = hourAngleHours(lon, around, raDeg);
+  const transit = new Date(around.getTime() - (ha / SIDEREAL_RATE) * HOUR_MS);
+  const transitAlt = 90 - Math.abs(lat - decDeg);
+
+  const cosH0 =
+    (Math.sin(RISE_SET_ALT_DEG * DEG) - Math.sin(lat * DEG) * Math.sin(decDeg * DEG)) /
+    (Math.cos(lat * DEG) * Math.cos(decDeg * DEG));
+
+  const out = {
+    rise: null,
+    transit,
+    set: null,
+    transit_altitude_deg: transitAlt,
+    circumpolar: cosH0 < -1,
+    never_rises: cosH0 > 1,
+  };
+  if (out.circumpolar || out.never_rises) return out;
+
+  const h0Hours = Math.acos(cosH0) / DEG / 15 / SIDEREAL_RATE;
+  out.rise = new Date(transit.getTime() - h0Hours * HOUR_MS);
+  out.set = new Date(transit.getTime() + h0Hours * HOUR_MS);
+  return out;
+}
+
+/**
+ * Same as fixedRiseTransitSet, for a Sun/Moon/planet body name.
+ */
+function bodyRiseTransitSet({ lat, lon, body, around }) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const from = new Date(around.getTime() - 12 * HOUR_MS);
+
+  const ha = Astronomy.SearchHourAngle(body, observer, 0, from);
+  const transit = ha.time.date;
+  const rise = Astronomy.SearchRiseSet(body, observer, +1, new Date(transit.getTime() - 13 * HOUR_MS), 13 / 24);
+  const set = Astronomy.SearchRiseSet(body, observer, -1, transit, 13 / 24);
+
+  return {
+    rise: rise ? rise.date : null,
+    transit,
+    set: set ? set.date : null,
+    transit_altitude_deg: ha.hor.altitude,
+    circumpolar: !rise && !set && ha.hor.altitude > 0,
+    never_rises: !rise && !set && ha.hor.altitude <= 0,
+  };
+}
+
+/**
+ * Rise/transit/set of a catalog object, or of a solar-system body when `o`
+ * has a `body` name (as from solarSystemObjects).
+ */
+function objectRiseTransitSet({ lat, lon, o, around }) {
+  if (o.body) return bodyRiseTransitSet({ lat, lon, body: o.body, around });
+  return fixedRiseTransitSet({ lat, lon, raDeg: o.ra_deg, decDeg: o.dec_deg, around });
+}
+
+module.exports = {
+  bodyRiseTransitSet,
+  fixedRiseTransitSet,
+  hourAngleHours,
+  objectRiseTransitSet,
+};
@@ -0,0 +1,361 @@
+const { DARKNESS_LEVELS } = require("./twilight");
+const { CATALOGS, OBJECT_TYPES } = require("./catalogs");
+const { MOUNT_TYPES, TELESCOPE_TYPES } = require("./equipment");
+const { EXPORT_FORMATS } = require("./export");
+
+// Request schemas shared by every entry point (Vercel, dev-server.js, server.js).
+
+const lat = { type: "number", minimum: -90, maximum: 90 };
+const lon = { type: "number", minimum: -180, maximum: 180 };
+const lang = { type: "string", minLength: 2, maxLength: 35 };
+
+const eyepiece = {
+  type: "object",
+  required: ["focal_length_mm"],
+  properties: {
+    name: { type: "string", maxLength: 50 },
+    focal_length_mm: { type: "number", minimum: 2, maximum: 100 },
+    apparent_fov_deg: { type: "number", minimum: 20, maximum: 120 },
+  },
+};
+
+const barlow = {
+  type: "object",
+  required: ["factor"],
+  properties: {
+    name: { type: "string", maxLength: 50 },
+    factor: { type: "number", minimum: 1.1, maximum: 5 },
+  },
+};
+
+// for mode "imaging"; focal length comes from the equipment
+const camera = {
+  type: "object",
+  required: ["sensor_width_mm", "sensor_height_mm", "pixel_size_um"],
+  properties: {
+    name: { type: "string", maxLength: 50 },
+    sensor_width_mm: { type: "number", minimum: 1, maximum: 100 },
+    sensor_height_mm: { type: "number", minimum: 1, maximum: 100 },
+    pixel_size_um: { type: "number", minimum: 0.5, maximum: 30 },
+  },
+};
+
+const equipment = {
+  type: "object",
+  properties: {
+    type: { type: "string", enum: TELESCOPE_TYPES },
+    aperture_mm: { type: "number", minimum: 10, maximum: 2000 },
+    focal_length_mm: { type: "number", minimum: 50, maximum: 20000 },
+    eyepieces: { type: "array", maxItems: 20, items: eyepiece },
+    barlows: { type: "array", maxItems: 5, items: barlow },
+    // binoculars only
+    magnification: { type: "number", minimum: 1, maximum: 100 },
+    field_deg: { type: "number", minimum: 0.5, maximum: 20 },
+    mount: { type: "string", enum: MOUNT_TYPES },
+    camera,
+  },
+};
+
+const altitudeLimit = { type: "number", minimum: 0, maximum: 90 };
+const azimuth = { type: "number", minimum: 0, maximum: 360 };
+
+// what the site can see: the lowest usable altitude per azimuth sector
+// (clockwise from north, may wrap past 0), highest wins where they overlap
+const horizon = {
+  type: "object",
+  properties: {
+    // everywhere no sector covers; 15 when left out
+    min_altitude_deg: altitudeLimit,
+    sectors: {
+      type: "array",
+      maxItems: 36,
+      items: {
+        type: "object",
+        required: ["from_az_deg", "to_az_deg", "min_altitude_deg"],
+        properties: {
+          from_az_deg: azimuth,
+          to_az_deg: azimuth,
+          min_altitude_deg: altitudeLimit,
+        },
+      },
+    },
+  },
+};
+
+// options every planning endpoint understands
+const planOptions = {
+  lat,
+  lon,
+  equipment,
+  darkness: { type: "string", enum: Object.keys(DARKNESS_LEVELS) },
+  // sky brightness; sqm wins if both are sent, neither = offline estimate
+  bortle: { type: "number", integer: true, minimum: 1, maximum: 9 },
+  sqm: { type: "number", minimum: 16, maximum: 22.5 },
+  catalogs: {
+    type: "array",
+    minItems: 1,
+    uniqueItems: true,
+    items: { type: "string", enum: Object.keys(CATALOGS) },
+  },
+  // replaces the fixed 15° altitude limit; a saved site's is used otherwise
+  horizon,
+  // response language, e.g. "tr"; beats Accept-Language
+  lang,
+  // saved profiles (need an API token); stand in for lat/lon and equipment
+  site_id: { type: "string", minLength: 1, maxLength: 64 },
+  equipment_id: { type: "string", minLength: 1, maxLength: 64 },
+};
+
+// lat/lon are required unless site_id is sent; see withSavedProfiles()
+const observeTonight = {
+  type: "object",
+  properties: {
+    ...planOptions,
+    // local to the site: `date` alone is the night starting that evening,
+    // with `time` the night containing that moment; both default to now
+    date: { type: "string", format: "date" },
+    time: { type: "string", format: "time" },
+    session_hours: { type: "number", minimum: 0.5, maximum: 24 },
+    // "visual" (default) or "imaging", which needs equipment.camera
+    mode: { type: "string", enum: ["visual", "imaging"] },
+    // imaging only: lowest altitude worth exposing at (default 30)
+    min_altitude_deg: { type: "number", minimum: 0, maximum: 80 },
+    // boost objects missing from the caller's observation log
+    prefer_unobserved: { type: "boolean" },
+    // "json" (default) or a downloadable file: ics, csv, stellarium, skysafari
+    format: { type: "string", enum: EXPORT_FORMATS },
+  },
+};
+
+const observeWeek = {
+  type: "object",
+  properties: {
+    ...planOptions,
+    nights: { type: "number", integer: true, minimum: 1, maximum: 7 },
+    // catalog designation ("M31", "NGC 7000") or planet/Moon ("saturn")
+    object: { type: "string", minLength: 1, maxLength: 40 },
+  },
+};
+
+const magnitude = { type: "number", minimum: -30, maximum: 30 };
+const sizeArcmin = { type: "number", minimum: 0, maximum: 1000 };
+
+// GET /objects query string
+const objectsQuery = {
+  type: "object",
+  properties: {
+    q: { type: "string", minLength: 1, maxLength: 100 },
+    constellation: { type: "string", maxLength: 40 },
+    type: { type: "string", enum: OBJECT_TYPES },
+    catalog: { type: "string", enum: Object.keys(CATALOGS) },
+    min_magnitude: magnitude,
+    max_magnitude: magnitude,
+    min_size_arcmin: sizeArcmin,
+    max_size_arcmin: sizeArcmin,
+    lang,
+    limit: { type: "number", integer: true, minimum: 1, maximum: 500 },
+    offset: { type: "number", integer: true, minimum: 0 },
+  },
+};
+
+// GET /objects/:id query string
+const objectDetailQuery = {
+  type: "object",
+  required: ["lat", "lon"],
+  properties: {
+    lat,
+    lon,
+    // defaults to now
+    date: { type: "string", maxLength: 40, format: "date-time" },
+    // IANA zone; defaults to the forecast's timezone for lat/lon
+    tz: { type: "string", maxLength: 64 },
+    darkness: { type: "string", enum: Object.keys(DARKNESS_LEVELS) },
+    lang,
+  },
+};
+
+// GET /charts/sky query string; lat/lon can come from site_id instead
+const skyChartQuery = {
+  type: "object",
+  properties: {
+    lat,
+    lon,
+    site_id: planOptions.site_id,
+    equipment_id: planOptions.equipment_id,
+    // defaults to now; without an offset it is local time at the site
+    date: { type: "string", maxLength: 40, format: "date-time" },
+    tz: { type: "string", maxLength: 64 },
+    // comma-separated; where the highlighted targets come from
+    catalogs: planOptions.catalogs,
+    size: { type: "number", integer: true, minimum: 200, maximum: 2000 },
+    lang,
+  },
+};
+
+// GET /charts/finder/:id query string
+const finderChartQuery = {
+  type: "object",
+  properties: {
+    ...skyChartQuery.properties,
+    radius_deg: { type: "number", minimum: 0.5, maximum: 45 },
+  },
+};
+
+// GET /marathon query string
+const marathonQuery = {
+  type: "object",
+  properties: {
+    lat,
+    lon,
+    site_id: planOptions.site_id,
+    // the night starting that evening; defaults to tonight
+    date: skyChartQuery.properties.date,
+    tz: skyChartQuery.properties.tz,
+    min_altitude_deg: { type: "number", minimum: 0, maximum: 30 },
+    minutes_per_object: { type: "number", minimum: 1, maximum: 15 },
+    lang,
+  },
+};
+
+const rating = { type: "number", integer: true, minimum: 1, maximum: 5 };
+const notes = { type: "string", maxLength: 2000 };
+const timestamp = { type: "string", maxLength: 40, format: "date-time" };
+
+// POST /sessions
+const sessionCreate = {
+  type: "object",
+  required: ["lat", "lon"],
+  properties: {
+    lat,
+    lon,
+    site_name: { type: "string", maxLength: 100 },
+    started_at: timestamp,
+    equipment,
+    bortle: planOptions.bortle,
+    sqm: planOptions.sqm,
+    // what the observer saw; omitted = snapshot of the forecast for the site
+    conditions: {
+      type: "object",
+      properties: {
+        seeing: rating,
+        transparency: rating,
+        cloud_cover_percent: { type: "number", minimum: 0, maximum: 100 },
+        temperature_c: { type: "number", minimum: -80, maximum: 60 },
+        notes,
+      },
+    },
+    notes,
+  },
+};
+
+// POST /sessions/:id/observations
+const observationCreate = {
+  type: "object",
+  required: ["object"],
+  properties: {
+    object: { type: "string", minLength: 1, maxLength: 40 },
+    observed_at: timestamp,
+    seeing: rating,
+    transparency: rating,
+    eyepiece: { type: "string", maxLength: 50 },
+    notes,
+  },
+};
+
+// POST /users
+const userCreate = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    email: { type: "string", maxLength: 200 },
+  },
+};
+
+// POST /admin/keys; limits left out use the server defaults
+const apiKeyCreate = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 100 },
+    rate_per_minute: { type: "number", integer: true, minimum: 1, maximum: 10000 },
+    ai_daily_quota: { type: "number", integer: true, minimum: 0, maximum: 100000 },
+  },
+};
+
+const profileName = { type: "string", minLength: 1, maxLength: 100 };
+
+// POST /sites, PUT /sites/:id
+const site = {
+  type: "object",
+  required: ["name", "lat", "lon"],
+  properties: {
+    name: profileName,
+    lat,
+    lon,
+    elevation_m: { type: "number", minimum: -500, maximum: 9000 },
+    horizon_notes: notes,
+    horizon,
+    bortle: planOptions.bortle,
+    sqm: planOptions.sqm,
+  },
+};
+
+// POST /equipment, PUT /equipment/:id
+const equipmentProfile = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: profileName,
+    ...equipment.properties,
+  },
+};
+
+// POST /alerts, PUT /alerts/:id; lat/lon or site_id, see withSavedProfiles()
+const alert = {
+  type: "object",
+  required: ["webhook_url"],
+  properties: {
+    name: profileName,
+    site_id: planOptions.site_id,
+    lat,
+    lon,
+    webhook_url: { type: "string", minLength: 1, maxLength: 2000 },
+    darkness: planOptions.darkness,
+    max_cloud_percent: { type: "number", minimum: 0, maximum: 100 },
+    min_window_hours: { type: "number", integer: true, minimum: 1, maximum: 12 },
+    max_moon_percent: { type: "number", minimum: 0, maximum: 100 },
+    // only alert when this object is up during the clear window
+    target: { type: "string", minLength: 1, maxLength: 40 },
+    active: { type: "boolean" },
+  },
+};
+
+const pageQuery = {
+  type: "object",
+  properties: {
+    limit: { type: "number", integer: true, minimum: 1, maximum: 100 },
+    offset: { type: "number", integer: true, minimum: 0 },
+  },
+};
+
+module.exports = {
+  alert,
+  apiKeyCreate,
+  equipment,
+  equipmentProfile,
+  finderChartQuery,
+  lat,
+  lon,
+  marathonQuery,
+  objectDetailQuery,
+  objectsQuery,
+  observationCreate,
+  observeTonight,
+  observeWeek,
+  pageQuery,
+  sessionCreate,
+  site,
+  skyChartQuery,
+  userCreate,
+};
@@ -0,0 +1,274 @@
+const fs = require("fs");
+const path = require("path");
+const Astronomy = require("astronomy-engine");
+const { DateTime } = require("luxon");
+const { loadCatalogs, CATALOGS } = require("./catalogs");
+const { solarSystemObjects } = require("./solar-system");
+const { localizeObject, t } = require("./i18n");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const DEG = Math.PI / 180;
+
+const DEFAULT_SIZE = 800;
+const DEFAULT_FINDER_RADIUS_DEG = 10;
+// the bundled star list stops near mag 5, so tighter fields are mostly empty
+const MIN_FINDER_RADIUS_DEG = 5;
+const MARGIN = 40;
+
+const COLORS = {
+  background: "#0b1020",
+  sky: "#121c3a",
+  grid: "#2a3760",
+  lines: "#4a6fa5",
+  star: "#ffffff",
+  label: "#c8d2ec",
+  target: "#ffb000",
+  planet: "#f4d27a",
+  moon: "#e8e8e8",
+  deepSky: "#7fd1b9",
+  fov: "#ff6b6b",
+};
+
+let STARS = null;
+let LINES = null;
+
+// bundled, offline: bright stars (to about mag 5) and constellation stick figures
+function starData() {
+  if (!STARS) {
+    STARS = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "bright-stars.json"), "utf8"));
+    LINES = JSON.parse(fs.readFileSync(path.join(DATA_DIR, "constellation-lines.json"), "utf8"));
+  }
+  return { stars: STARS, lines: LINES, byId: new Map(STARS.map(s => [s.id, s])) };
+}
+
+function esc(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function n1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+// brighter stars get bigger dots
+function starRadius(mag, scale = 1) {
+  return n1(Math.max(0.6, 3.6 - 0.6 * mag) * scale);
+}
+
+function svgDocument(size, title, body) {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" ` +
+      'font-family="Helvetica, Arial, sans-serif">',
+    `<title>${esc(title)}</title>`,
+    `<rect width="${size}" height="${size}" fill="${COLORS.background}"/>`,
+    ...body,
+    "</svg>",
+  ].join("\n");
+}
+
+function label(x, y, text, { color = COLORS.label, fontSize = 11, anchor = "start" } = {}) {
+  return `<text x="${n1(x)}" y="${n1(y)}" fill="${color}" font-size="${fontSize}" text-anchor="${anchor}">${esc(text)}</text>`;
+}
+
+/**
+ * All-sky dome for `date` seen from lat/lon: zenith in the middle, horizon
+ * as the rim, north up and east on the left (as when lying on your back).
+ * Bright stars, constellation lines, the planets and Moon are drawn, and
+ * `targets` (pickTargets entries) are circled and numbered.
+ */
+function renderSkyChart({ lat, lon, date, tz, targets = [], locationLabel, lang, size = DEFAULT_SIZE }) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const c = size / 2;
+  const R = c - MARGIN;
+
+  // alt/az -> x/y; points below the horizon land outside the rim and are clipped
+  function project(raDeg, decDeg) {
+    const hor = Astronomy.Horizon(date, observer, raDeg / 15, decDeg, "normal");
+    const r = ((90 - hor.altitude) / 90) * R;
+    return {
+      x: c - r * Math.sin(hor.azimuth * DEG),
+      y: c - r * Math.cos(hor.azimuth * DEG),
+      alt: hor.altitude,
+    };
+  }
+
+  const body = [
+    `<defs><clipPath id="horizon"><circle cx="${c}" cy="${c}" r="${R}"/></clipPath></defs>`,
+    `<circle cx="${c}" cy="${c}" r="${R}" fill="${COLORS.sky}" stroke="${COLORS.grid}" stroke-width="2"/>`,
+  ];
+
+  const grid = [];
+  for (const alt of [30, 60]) {
+    grid.push(`<circle cx="${c}" cy="${c}" r="${n1(((90 - alt) / 90) * R)}" fill="none" stroke="${COLORS.grid}" stroke-dasharray="4 4"/>`);
+  }
+  for (let az = 0; az < 360; az += 45) {
+    grid.push(`<line x1="${c}" y1="${c}" x2="${n1(c - R * Math.sin(az * DEG))}" y2="${n1(c - R * Math.cos(az * DEG))}" ` +
+      `stroke="${COLORS.grid}" stroke-width="0.5"/>`);
+  }
+  body.push(...grid);
+
+  const { stars, lines, byId } = starData();
+  const sky = [];
+  for (const { lines: polylines } of lines) {
+    for (const ids of polylines) {
+      const pts = ids.map(id => byId.get(id)).map(s => project(s.ra_deg, s.dec_deg));
+      if (pts.every(p => p.alt < 0)) continue;
+      sky.push(`<polyline points="${pts.map(p => `${n1(p.x)},${n1(p.y)}`).join(" ")}" fill="none" ` +
+        `stroke="${COLORS.lines}" stroke-width="1"/>`);
+    }
+  }
+  for (const s of stars) {
+    const p = project(s.ra_deg, s.dec_deg);
+    if (p.alt < 0) continue;
+    sky.push(`<circle cx="${n1(p.x)}" cy="${n1(p.y)}" r="${starRadius(s.magnitude)}" fill="${COLORS.star}"/>`);
+    if (s.magnitude < 1.5) sky.push(label(p.x + 5, p.y - 4, s.name, { fontSize: 10 }));
+  }
+
+  for (const o of solarSystemObjects({ lat, lon, date })) {
+    if (o.altitude < 0) continue;
+    const p = project(o.ra_deg, o.dec_deg);
+    const moon = o.type === "moon";
+    sky.push(`<circle cx="${n1(p.x)}" cy="${n1(p.y)}" r="${moon ? 7 : 3.5}" fill="${moon ? COLORS.moon : COLORS.planet}"/>`);
+    sky.push(label(p.x + 8, p.y + 4, localizeObject(o, lang).common_name, { color: moon ? COLORS.moon : COLORS.planet }));
+  }
+
+  targets.forEach((o, i) => {
+    const p = project(o.ra_deg, o.dec_deg);
+    if (p.alt < 0) return;
+    const name = localizeObject(o, lang).common_name || o.designations[0];
+    sky.push(`<circle cx="${n1(p.x)}" cy="${n1(p.y)}" r="9" fill="none" stroke="${COLORS.target}" stroke-width="2"/>`);
+    sky.push(label(p.x + 11, p.y - 8, `${i + 1}. ${name}`, { color: COLORS.target, fontSize: 12 }));
+  });
+
+  body.push(`<g clip-path="url(#horizon)">`, ...sky, "</g>");
+
+  const cardinals = [["n", 0], ["e", 90], ["s", 180], ["w", 270]];
+  for (const [key, az] of cardinals) {
+    const x = c - (R + 18) * Math.sin(az * DEG);
+    const y = c - (R + 18) * Math.cos(az * DEG) + 6;
+    body.push(label(x, y, t(lang, `chart.cardinal_${key}`), { fontSize: 16, anchor: "middle", color: COLORS.star }));
+  }
+
+  const time = DateTime.fromJSDate(date, { zone: tz }).toFormat("yyyy-MM-dd HH:mm");
+  const title = t(lang, "chart.sky_title", { location: locationLabel, time, tz });
+  body.push(label(10, 20, title, { fontSize: 13 }));
+
+  return svgDocument(size, title, body);
+}
+
+// gnomonic projection around (ra0, dec0); null for points on the far side
+function tangentPlane(ra0, dec0) {
+  const sd0 = Math.sin(dec0 * DEG);
+  const cd0 = Math.cos(dec0 * DEG);
+  return (raDeg, decDeg) => {
+    const dra = (raDeg - ra0) * DEG;
+    const sd = Math.sin(decDeg * DEG);
+    const cd = Math.cos(decDeg * DEG);
+    const cosC = sd0 * sd + cd0 * cd * Math.cos(dra);
+    if (cosC <= 0) return null;
+    return { x: (cd * Math.sin(dra)) / cosC, y: (cd0 * sd - sd0 * cd * Math.cos(dra)) / cosC };
+  };
+}
+
+// wide enough for the eyepiece circles plus some bright stars to hop from
+function finderRadius(gear) {
+  const widest = Math.max(0, ...(gear?.combinations || []).map(c => c.true_fov_deg));
+  if (!widest) return DEFAULT_FINDER_RADIUS_DEG;
+  return Math.min(45, Math.max(MIN_FINDER_RADIUS_DEG, n1(widest * 1.5)));
+}
+
+/**
+ * Zoomed chart centred on `o` (a resolveObject result with RA/Dec for
+ * `date`), north up and east left, `radiusDeg` from centre to edge (default:
+ * from the widest eyepiece field). Shows bright stars, other catalog objects
+ * in the field and one circle per distinct true field of view in
+ * `gear.combinations`.
+ */
+function renderFinderChart({ o, gear, date, lat, lon, tz, radiusDeg = finderRadius(gear), lang, size = DEFAULT_SIZE }) {
+  const c = size / 2;
+  const R = c - MARGIN;
+  const plane = tangentPlane(o.ra_deg, o.dec_deg);
+  const scale = R / Math.tan(radiusDeg * DEG);
+
+  function project(raDeg, decDeg) {
+    const p = plane(raDeg, decDeg);
+    return p && { x: c - p.x * scale, y: c - p.y * scale };
+  }
+  const inField = p => p && Math.hypot(p.x - c, p.y - c) <= R;
+  // bigger dots when zoomed in
+  const starScale = Math.min(1.6, Math.max(1, 10 / radiusDeg));
+
+  const body = [
+    `<defs><clipPath id="field"><circle cx="${c}" cy="${c}" r="${R}"/></clipPath></defs>`,
+    `<circle cx="${c}" cy="${c}" r="${R}" fill="${COLORS.sky}" stroke="${COLORS.grid}" stroke-width="2"/>`,
+  ];
+  const field = [];
+
+  const { stars, lines, byId } = starData();
+  for (const { lines: polylines } of lines) {
+    for (const ids of polylines) {
+      const pts = ids.map(id => byId.get(id)).map(s => project(s.ra_deg, s.dec_deg));
+      if (pts.some(p => !p) || !pts.some(inField)) continue;
+      field.push(`<polyline points="${pts.map(p => `${n1(p.x)},${n1(p.y)}`).join(" ")}" fill="none" ` +
+        `stroke="${COLORS.lines}" stroke-width="1"/>`);
+    }
+  }
+  for (const s of stars) {
+    const p = project(s.ra_deg, s.dec_deg);
+    if (!inField(p)) continue;
+    field.push(`<circle cx="${n1(p.x)}" cy="${n1(p.y)}" r="${starRadius(s.magnitude, starScale)}" fill="${COLORS.star}"/>`);
+    field.push(label(p.x + 6, p.y - 4, s.name, { fontSize: 10 }));
+  }
+
+  for (const d of loadCatalogs(Object.keys(CATALOGS))) {
+    if (d.id === o.id || d.ra_deg === null || d.dec_deg === null) continue;
+    const p = project(d.ra_deg, d.dec_deg);
+    if (!inField(p)) continue;
+    field.push(`<rect x="${n1(p.x - 3)}" y="${n1(p.y - 3)}" width="6" height="6" fill="none" stroke="${COLORS.deepSky}"/>`);
+    field.push(label(p.x + 6, p.y + 4, d.designations[0], { color: COLORS.deepSky, fontSize: 10 }));
+  }
+
+  for (const b of solarSystemObjects({ lat, lon, date })) {
+    if (b.id === o.id) continue;
+    const p = project(b.ra_deg, b.dec_deg);
+    if (!inField(p)) continue;
+    field.push(`<circle cx="${n1(p.x)}" cy="${n1(p.y)}" r="4" fill="${COLORS.planet}"/>`);
+    field.push(label(p.x + 7, p.y + 4, localizeObject(b, lang).common_name, { color: COLORS.planet }));
+  }
+
+  // the target: its catalog size (if any) and a crosshair
+  const sizeDeg = (o.size_major_arcmin ?? (o.apparent_diameter_arcsec ?? 0) / 60) / 60;
+  const sizeR = Math.max(4, Math.tan((sizeDeg / 2) * DEG) * scale);
+  field.push(`<circle cx="${c}" cy="${c}" r="${n1(sizeR)}" fill="none" stroke="${COLORS.target}" stroke-width="1.5"/>`);
+  field.push(`<path d="M${c - sizeR - 14},${c}h10M${c + sizeR + 4},${c}h10M${c},${c - sizeR - 14}v10M${c},${c + sizeR + 4}v10" ` +
+    `stroke="${COLORS.target}" stroke-width="1.5"/>`);
+
+  const seen = new Set();
+  for (const combo of gear?.combinations || []) {
+    if (seen.has(combo.true_fov_deg)) continue;
+    seen.add(combo.true_fov_deg);
+    const r = Math.tan((combo.true_fov_deg / 2) * DEG) * scale;
+    if (r > R) continue;
+    field.push(`<circle cx="${c}" cy="${c}" r="${n1(r)}" fill="none" stroke="${COLORS.fov}" stroke-dasharray="6 3"/>`);
+    field.push(label(c + r * 0.71 + 3, c - r * 0.71 - 3, t(lang, "chart.fov", combo), { color: COLORS.fov, fontSize: 10 }));
+  }
+
+  body.push(`<g clip-path="url(#field)">`, ...field, "</g>");
+
+  body.push(label(c, MARGIN - 12, t(lang, "chart.cardinal_n"), { fontSize: 16, anchor: "middle", color: COLORS.star }));
+  body.push(label(MARGIN - 14, c + 6, t(lang, "chart.cardinal_e"), { fontSize: 16, anchor: "middle", color: COLORS.star }));
+
+  const name = localizeObject(o, lang).common_name;
+  const time = DateTime.fromJSDate(date, { zone: tz }).toFormat("yyyy-MM-dd HH:mm");
+  const designation = o.designations[0];
+  const object = name && name !== designation ? `${designation} (${name})` : name || designation;
+  const title = t(lang, "chart.finder_title", { object });
+  body.push(label(10, 20, title, { fontSize: 13 }));
+  body.push(label(size - 10, 20, t(lang, "chart.finder_scale", { radius: radiusDeg, time, tz }), { fontSize: 11, anchor: "end" }));
+
+  return svgDocument(size, title, body);
+}
+
+module.exports = {
+  renderFinderChart,
+  renderSkyChart,
+};
@@ -0,0 +1,134 @@
+// Per-hour transparency/seeing estimates on a 1 (poor) .. 5 (excellent) scale,
+// derived from the Open-Meteo hourly variables.
+
+const LABELS = ["poor", "below average", "average", "good", "excellent"];
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+function clamp(x, lo, hi) {
+  return Math.min(hi, Math.max(lo, x));
+}
+
+function at(weather, key, i) {
+  const v = weather.hourly[key]?.[i];
+  return typeof v === "number" ? v : null;
+}
+
+function label(score) {
+  return score === null ? null : LABELS[clamp(Math.round(score), 1, 5) - 1];
+}
+
+/**
+ * Transparency: how clear the clear parts are. Thin high cloud (cirrus),
+ * humid air and haze all dim faint objects even when total cover looks low.
+ */
+function transparencyAt({ high, humidity, visibilityM }) {
+  let t = 5;
+  if (high !== null) t -= (high / 100) * 3;
+  if (humidity !== null) {
+    if (humidity >= 90) t -= 1.5;
+    else if (humidity >= 75) t -= 0.75;
+  }
+  if (visibilityM !== null) {
+    if (visibilityM < 10000) t -= 1;
+    else if (visibilityM < 20000) t -= 0.5;
+  }
+  return clamp(t, 1, 5);
+}
+
+/**
+ * Seeing: atmospheric steadiness. The jet stream (250 hPa wind) is the main
+ * driver; strong surface wind adds tube/ground turbulence.
+ */
+function seeingAt({ jetKmh, windKmh }) {
+  let s = 5;
+  if (jetKmh !== null) s -= clamp((jetKmh - 60) / 45, 0, 3);
+  if (windKmh !== null && windKmh > 25) s -= 0.5;
+  return clamp(s, 1, 5);
+}
+
+// optics dew up once the air is within a couple of degrees of its dew point
+function dewRiskAt({ temperature, dewPoint, humidity }) {
+  if (temperature !== null && dewPoint !== null) {
+    const spread = temperature - dewPoint;
+    if (spread <= 2) return "high";
+    if (spread <= 4) return "moderate";
+    return "low";
+  }
+  if (humidity !== null) return humidity >= 90 ? "high" : humidity >= 80 ? "moderate" : "low";
+  return null;
+}
+
+function hourAt(weather, i) {
+  const h = {
+    high: at(weather, "cloud_cover_high", i),
+    humidity: at(weather, "relative_humidity_2m", i),
+    visibilityM: at(weather, "visibility", i),
+    jetKmh: at(weather, "wind_speed_250hPa", i),
+    windKmh: at(weather, "wind_speed_10m", i),
+    temperature: at(weather, "temperature_2m", i),
+    dewPoint: at(weather, "dew_point_2m", i),
+  };
+  const transparency = transparencyAt(h);
+  const seeing = seeingAt(h);
+  const dewRisk = dewRiskAt(h);
+
+  return {
+    time: weather.hourly.time[i],
+    cloud_cover: at(weather, "cloud_cover", i),
+    cloud_cover_low: at(weather, "cloud_cover_low", i),
+    cloud_cover_mid: at(weather, "cloud_cover_mid", i),
+    cloud_cover_high: h.high,
+    relative_humidity_2m: h.humidity,
+    temperature_2m: h.temperature,
+    dew_point_2m: h.dewPoint,
+    visibility_m: h.visibilityM,
+    wind_speed_250hPa: h.jetKmh,
+    transparency: round1(transparency),
+    transparency_label: label(transparency),
+    seeing: round1(seeing),
+    seeing_label: label(seeing),
+    dew_risk: dewRisk,
+  };
+}
+
+/**
+ * Hourly sky-quality breakdown for the given forecast indices.
+ */
+function skyQualityHours(weather, idx) {
+  return (idx || []).map(i => hourAt(weather, i));
+}
+
+const DEW_ORDER = { low: 0, moderate: 1, high: 2 };
+
+/**
+ * Averages over a set of hours from skyQualityHours; dew risk is the worst hour.
+ */
+function summarizeSkyQuality(hours) {
+  if (!hours || hours.length === 0) {
+    return { transparency: null, transparency_label: null, seeing: null, seeing_label: null, dew_risk: null };
+  }
+  const avg = (key) => hours.reduce((a, h) => a + h[key], 0) / hours.length;
+  const transparency = avg("transparency");
+  const seeing = avg("seeing");
+
+  let dewRisk = null;
+  for (const h of hours) {
+    if (h.dew_risk && (dewRisk === null || DEW_ORDER[h.dew_risk] > DEW_ORDER[dewRisk])) dewRisk = h.dew_risk;
+  }
+
+  return {
+    transparency: round1(transparency),
+    transparency_label: label(transparency),
+    seeing: round1(seeing),
+    seeing_label: label(seeing),
+    dew_risk: dewRisk,
+  };
+}
+
+module.exports = {
+  skyQualityHours,
+  summarizeSkyQuality,
+};
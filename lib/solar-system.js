@@ -0,0 +1,88 @@
+const Astronomy = require("astronomy-engine");
+const { moonPhaseName } = require("./moon");
+
+const KM_PER_AU = 149597870.7;
+const ARCSEC_PER_RAD = 206264.806;
+
+// mean diameters in km (Saturn without rings)
+const BODIES = [
+  { body: "Mercury", diameterKm: 4879 },
+  { body: "Venus", diameterKm: 12104 },
+  { body: "Mars", diameterKm: 6779 },
+  { body: "Jupiter", diameterKm: 139820 },
+  { body: "Saturn", diameterKm: 116460 },
+  { body: "Uranus", diameterKm: 50724 },
+  { body: "Neptune", diameterKm: 49244 },
+  { body: "Moon", diameterKm: 3474.8 },
+];
+
+// planets closer than this to the Sun are lost in its glare
+const MIN_ELONGATION_DEG = 10;
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+/**
+ * Live positions of Mercury..Neptune and the Moon for the observer at `date`.
+ * Each entry has the same basic fields as a catalog object
+ * (id, designations, common_name, type, constellation, magnitude, ra_deg, dec_deg)
+ * plus altitude, azimuth, apparent diameter and elongation from the Sun.
+ */
+function solarSystemObjects({ lat, lon, date }) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+
+  return BODIES.map(({ body, diameterKm }) => {
+    const eq = Astronomy.Equator(body, date, observer, true, true);
+    // constellation boundaries are drawn in J2000 coordinates
+    const j2000 = Astronomy.Equator(body, date, observer, false, true);
+    const hor = Astronomy.Horizon(date, observer, eq.ra, eq.dec, "normal");
+    const illum = Astronomy.Illumination(body, date);
+    const diameterArcsec = (diameterKm / (eq.dist * KM_PER_AU)) * ARCSEC_PER_RAD;
+
+    const o = {
+      id: body.toLowerCase(),
+      designations: [body],
+      body,
+      common_name: body,
+      type: body === "Moon" ? "moon" : "planet",
+      object_type: body === "Moon" ? "Moon" : "Planet",
+      constellation: Astronomy.Constellation(j2000.ra, j2000.dec).name,
+      magnitude: Math.round(illum.mag * 100) / 100,
+      ra_deg: round1(eq.ra * 15),
+      dec_deg: round1(eq.dec),
+      apparent_diameter_arcsec: round1(diameterArcsec),
+      elongation_deg: round1(Astronomy.AngleFromSun(body, date)),
+      illuminated_fraction: Math.round(illum.phase_fraction * 100) / 100,
+      altitude: hor.altitude,
+      azimuth: hor.azimuth,
+    };
+    if (body === "Moon") o.phase_name = moonPhaseName(Astronomy.MoonPhase(date));
+    return o;
+  });
+}
+
+/**
+ * Score for a planet or the Moon, on the same scale as deep-sky targets.
+ * On mixed/bad nights they get a big boost: bright enough to show through gaps.
+ */
+function scoreSolarSystemObject(o, verdict) {
+  let score = o.altitude * 2.0;
+
+  score += Math.min(30, (10 - o.magnitude) * 3.0);
+
+  // visible disk detail (Jupiter, Saturn, Mars near opposition, Venus)
+  if (o.apparent_diameter_arcsec >= 10) score += 4;
+
+  const v = String(verdict || "").toLowerCase();
+  if (v === "mixed") score += 40;
+  if (v === "bad") score += 80;
+
+  return score;
+}
+
+module.exports = {
+  MIN_ELONGATION_DEG,
+  solarSystemObjects,
+  scoreSolarSystemObject,
+};
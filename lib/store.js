@@ -0,0 +1,85 @@
+const fs = require("fs");
+const path = require("path");
+
+// where local state (observation logs, ...) lives; override with DATA_DIR
+const DEFAULT_DATA_DIR = ".data";
+
+/**
+ * A JSON document on disk, read and written whole. Updates are serialized
+ * within the process and written atomically (temp file + rename), so a
+ * crash never leaves half a file behind.
+ *
+ * This is single-process local storage: on Vercel the filesystem is
+ * ephemeral, so point DATA_DIR at a mounted volume or run server.js.
+ */
+function createJsonStore(file, initial) {
+  let queue = Promise.resolve();
+
+  function readNow() {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return structuredClone(initial);
+      throw e;
+    }
+  }
+
+  function writeNow(doc) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(doc, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  // run after every update queued so far
+  function enqueue(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    file,
+    read: () => enqueue(readNow),
+    // `fn(doc)` mutates the document in place; its return value is passed through
+    update: (fn) => enqueue(() => {
+      const doc = readNow();
+      const result = fn(doc);
+      writeNow(doc);
+      return result;
+    }),
+  };
+}
+
+const STORES = new Map();
+
+/**
+ * Shared store for `name` (one file per name under DATA_DIR).
+ */
+function getStore(name, initial = {}) {
+  const dir = process.env.DATA_DIR || DEFAULT_DATA_DIR;
+  const file = path.resolve(dir, `${name}.json`);
+  if (!STORES.has(file)) STORES.set(file, createJsonStore(file, initial));
+  return STORES.get(file);
+}
+
+/**
+ * Whether DATA_DIR exists (or can be created) and is writable, for /ready:
+ * { ok, data_dir, message? }.
+ */
+function storageStatus() {
+  const dir = path.resolve(process.env.DATA_DIR || DEFAULT_DATA_DIR);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.accessSync(dir, fs.constants.W_OK);
+    return { ok: true, data_dir: dir };
+  } catch (e) {
+    return { ok: false, data_dir: dir, message: e.message };
+  }
+}
+
+module.exports = {
+  createJsonStore,
+  getStore,
+  storageStatus,
+};
@@ -0,0 +1,159 @@
+const Astronomy = require("astronomy-engine");
+const { loadCatalogs, DEFAULT_CATALOGS } = require("./catalogs");
+const { moonPenalty } = require("./moon");
+const { recommendEyepiece } = require("./equipment");
+const { targetVisibility } = require("./light-pollution");
+const { horizonMask, obstructionPenalty, pointingFields } = require("./horizon");
+const {
+  MIN_ELONGATION_DEG,
+  solarSystemObjects,
+  scoreSolarSystemObject,
+} = require("./solar-system");
+
+// hard filter: below horizon / too low (you can tune); a horizon profile
+// (see horizonMask) replaces it per azimuth
+const MIN_ALTITUDE_DEG = 15;
+
+// a marginal object under a bright sky is worth less than an easy one
+const VISIBILITY_PENALTY = { easy: 0, challenging: 10, not_visible: Infinity };
+
+// nudge toward objects missing from the user's log (see `observed`)
+const UNOBSERVED_BONUS = 8;
+
+// { altitude, azimuth } in degrees; azimuth from north through east
+function horizontalDeg(lat, lon, date, raDeg, decDeg) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+
+  // Horizon(date, observer, ra, dec, refraction) -- ra is in sidereal hours
+  const hor = Astronomy.Horizon(
+    date,
+    observer,
+    raDeg / 15,
+    decDeg,
+    "normal"   // or "none" if you want geometric altitude
+  );
+
+  return { altitude: hor.altitude, azimuth: hor.azimuth };
+}
+
+function altitudeDeg(lat, lon, date, raDeg, decDeg) {
+  return horizontalDeg(lat, lon, date, raDeg, decDeg).altitude;
+}
+
+/**
+ * Score a deep-sky object seen at altitude `alt`.
+ * Returns { score, penalty, separation, visibility } (penalty/separation from
+ * the Moon; visibility from targetVisibility, score is -Infinity when not visible).
+ * `observed` is an optional Set of object ids the user has already logged.
+ */
+function scoreDeepSky(o, { alt, gear, skyBrightness, moon, observed }) {
+  const mag = o.magnitude ?? NaN;
+  const major = o.size_major_arcmin ?? NaN;
+
+  // ----- simple scoring (tune later) -----
+  // altitude dominates
+  let score = alt * 2.0;
+
+  // reward brighter objects (lower mag)
+  if (Number.isFinite(mag)) score += (10 - mag) * 3.0;
+
+  // aperture helps faint stuff a bit
+  if (gear) score += Math.min(2.0, (gear.aperture_mm - 80) / 80);
+
+  // small bonus for larger apparent size (nice visually)
+  if (Number.isFinite(major)) score += Math.min(2.0, major / 30);
+
+  // tiny type-based bonus (optional)
+  if (o.type === "globular_cluster") score += 0.6;
+  if (o.type === "open_cluster") score += 0.4;
+  if (o.type === "nebula" || o.type === "planetary_nebula") score += 0.7;
+
+  if (observed && !observed.has(o.id)) score += UNOBSERVED_BONUS;
+
+  // moonlight washes out faint diffuse objects, clusters barely care
+  const { penalty, separation } = moonPenalty(
+    { raDeg: o.ra_deg, decDeg: o.dec_deg, mag, type: o.type },
+    moon
+  );
+  score -= penalty;
+
+  // sky glow and aperture decide whether it shows at all
+  const visibility = targetVisibility(o, { gear, skyBrightness });
+  score -= VISIBILITY_PENALTY[visibility];
+
+  return { score, penalty, separation, visibility };
+}
+
+/**
+ * Best targets at `date`, highest score first. Objects below the `horizon`
+ * profile (or MIN_ALTITUDE_DEG without one) are left out, and those just
+ * above it score lower so the open part of the sky wins.
+ */
+function pickTargets({
+  lat,
+  lon,
+  date,
+  gear,
+  skyBrightness,
+  moon,
+  verdict,
+  catalogs = DEFAULT_CATALOGS,
+  observed = null,
+  horizon = null,
+  max = 8,
+}) {
+  const minAltAt = horizonMask(horizon, MIN_ALTITUDE_DEG);
+  const scored = [];
+  for (const o of loadCatalogs(catalogs)) {
+    const { altitude: alt, azimuth: az } = horizontalDeg(lat, lon, date, o.ra_deg, o.dec_deg);
+    const minAlt = minAltAt(az);
+    if (alt < minAlt) continue;
+
+    const { score, penalty, separation, visibility } = scoreDeepSky(o, { alt, gear, skyBrightness, moon, observed });
+    if (visibility === "not_visible") continue;
+
+    scored.push({
+      kind: "deep_sky",
+      ...o,
+      altitude_deg: Math.round(alt * 10) / 10,
+      ...pointingFields({ lon, date, raDeg: o.ra_deg, alt, az, minAlt }),
+      moon_separation_deg: separation === null ? null : Math.round(separation),
+      moon_penalty: Math.round(penalty * 10) / 10,
+      visibility,
+      ...recommendEyepiece(gear, o),
+      score: Math.round((score - obstructionPenalty(alt - minAlt)) * 10) / 10,
+    });
+  }
+
+  for (const o of solarSystemObjects({ lat, lon, date })) {
+    const minAlt = minAltAt(o.azimuth);
+    if (o.altitude < minAlt) continue;
+    if (o.elongation_deg < MIN_ELONGATION_DEG) continue;
+    const visibility = targetVisibility(o, { gear, skyBrightness });
+    if (visibility === "not_visible") continue;
+
+    const { altitude, azimuth, ...rest } = o;
+    const score = scoreSolarSystemObject(o, verdict) - obstructionPenalty(altitude - minAlt);
+    scored.push({
+      kind: o.type,
+      ...rest,
+      altitude_deg: Math.round(altitude * 10) / 10,
+      ...pointingFields({ lon, date, raDeg: o.ra_deg, alt: altitude, az: azimuth, minAlt }),
+      visibility,
+      ...recommendEyepiece(gear, o),
+      score: Math.round(score * 10) / 10,
+    });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, max);
+}
+
+module.exports = {
+  MIN_ALTITUDE_DEG,
+  UNOBSERVED_BONUS,
+  altitudeDeg,
+  horizontalDeg,
+  pickTargets,
+  scoreDeepSky,
+};
@@ -0,0 +1,135 @@
+const Astronomy = require("astronomy-engine");
+const { DateTime } = require("luxon");
+
+// Sun altitude (deg) at which each darkness level begins
+const DARKNESS_LEVELS = {
+  civil: -6,
+  nautical: -12,
+  astronomical: -18,
+};
+
+const DEFAULT_DARKNESS = "astronomical";
+
+function toLocalIso(date, tz) {
+  if (!date) return null;
+  return DateTime.fromJSDate(date, { zone: tz || "UTC" }).toFormat("yyyy-MM-dd'T'HH:mm");
+}
+
+function searchDate(result) {
+  return result ? result.date : null;
+}
+
+/**
+ * Find the night that contains `now`, or the next one if it is still daytime.
+ * Returns { sunset, sunrise } as JS Dates, or null when the Sun does not
+ * rise/set within a couple of days (polar day/night).
+ */
+function findNight(observer, now) {
+  const Sun = Astronomy.Body.Sun;
+
+  // start a day back so we catch a night that is already in progress
+  const from = new Date(now.getTime() - 24 * 3600 * 1000);
+  let sunset = searchDate(Astronomy.SearchRiseSet(Sun, observer, -1, from, 2));
+  if (!sunset) return null;
+  let sunrise = searchDate(Astronomy.SearchRiseSet(Sun, observer, +1, sunset, 2));
+  if (!sunrise) return null;
+
+  if (sunrise <= now) {
+    sunset = searchDate(Astronomy.SearchRiseSet(Sun, observer, -1, sunrise, 2));
+    if (!sunset) return null;
+    sunrise = searchDate(Astronomy.SearchRiseSet(Sun, observer, +1, sunset, 2));
+    if (!sunrise) return null;
+  }
+
+  return { sunset, sunrise };
+}
+
+/**
+ * Dusk/dawn pair for one twilight level between sunset and sunrise.
+ * Both are null if the Sun never gets that low (e.g. summer at high latitudes).
+ */
+function twilightPair(observer, night, sunAltDeg) {
+  const Sun = Astronomy.Body.Sun;
+  const dusk = searchDate(Astronomy.SearchAltitude(Sun, observer, -1, night.sunset, 1, sunAltDeg));
+  if (!dusk || dusk >= night.sunrise) return { dusk: null, dawn: null };
+
+  const dawn = searchDate(Astronomy.SearchAltitude(Sun, observer, +1, dusk, 1, sunAltDeg));
+  if (!dawn || dawn > night.sunrise) return { dusk: null, dawn: null };
+
+  return { dusk, dawn };
+}
+
+/**
+ * Sunset, civil/nautical/astronomical twilight and sunrise for tonight.
+ * `dark_start`/`dark_end` bound the chosen darkness level (null if it never
+ * gets that dark). Times are local ISO strings in `tz`, like the
+ * Open-Meteo hourly times.
+ *
+ * Returns { twilight, dark, night } where `dark` holds the same interval as
+ * JS Dates and `night` is { sunset, sunrise }.
+ */
+function computeTwilight({ lat, lon, now = new Date(), tz, darkness = DEFAULT_DARKNESS }) {
+  const observer = new Astronomy.Observer(lat, lon, 0);
+  const night = findNight(observer, now);
+
+  const out = {
+    darkness,
+    sunset: null,
+    civil_dusk: null,
+    nautical_dusk: null,
+    astronomical_dusk: null,
+    astronomical_dawn: null,
+    nautical_dawn: null,
+    civil_dawn: null,
+    sunrise: null,
+    dark_start: null,
+    dark_end: null,
+    dark_hours: 0,
+  };
+
+  if (!night) return { twilight: out, dark: null, night: null };
+
+  out.sunset = toLocalIso(night.sunset, tz);
+  out.sunrise = toLocalIso(night.sunrise, tz);
+
+  let dark = null;
+  for (const [level, alt] of Object.entries(DARKNESS_LEVELS)) {
+    const { dusk, dawn } = twilightPair(observer, night, alt);
+    out[`${level}_dusk`] = toLocalIso(dusk, tz);
+    out[`${level}_dawn`] = toLocalIso(dawn, tz);
+    if (level === darkness && dusk && dawn) dark = { start: dusk, end: dawn };
+  }
+
+  if (dark) {
+    out.dark_start = toLocalIso(dark.start, tz);
+    out.dark_end = toLocalIso(dark.end, tz);
+    out.dark_hours = Math.round(((dark.end - dark.start) / 3600000) * 10) / 10;
+  }
+
+  return { twilight: out, dark, night };
+}
+
+/**
+ * Indices of hourly forecast entries that fall inside the dark interval
+ * and are not already in the past.
+ */
+function darkHourIndices(weather, dark, now, toDate) {
+  if (!dark) return [];
+  const hourAgo = now.getTime() - 3600 * 1000;
+
+  const idx = [];
+  weather.hourly.time.forEach((t, i) => {
+    const d = toDate(t, weather.timezone);
+    if (d.getTime() <= hourAgo) return;
+    if (d >= dark.start && d <= dark.end) idx.push(i);
+  });
+  return idx;
+}
+
+module.exports = {
+  DARKNESS_LEVELS,
+  DEFAULT_DARKNESS,
+  computeTwilight,
+  darkHourIndices,
+  toLocalIso,
+};
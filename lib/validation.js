@@ -0,0 +1,158 @@
+const { DateTime } = require("luxon");
+const { ApiError } = require("./errors");
+const { DEFAULT_LANG, t } = require("./i18n");
+
+/**
+ * Tiny JSON-schema-like validator. Supported keywords:
+ *
+ *   object:  properties, required, additionalProperties (default false)
+ *   number:  minimum, maximum, integer
+ *   string:  enum, minLength, maxLength, format ("date-time": ISO 8601 date or date-time,
+ *            "date": YYYY-MM-DD, "time": HH:mm)
+ *   array:   items, minItems, maxItems, uniqueItems
+ *   boolean
+ *
+ * Every schema may set `nullable: true`.
+ */
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number" && !Number.isFinite(v)) return "non-finite number";
+  return typeof v;
+}
+
+function fieldName(path) {
+  return path || "body";
+}
+
+// { field, message, translation }; the message is re-translated per request
+function problem(field, key, params = {}) {
+  const translation = { key: `validation.${key}`, params: { field, ...params } };
+  return { field, message: t(DEFAULT_LANG, translation.key, translation.params), translation };
+}
+
+function check(schema, value, path, errors) {
+  const fail = (key, params) => errors.push(problem(fieldName(path), key, params));
+
+  if (value === null && schema.nullable) return;
+
+  const actual = typeOf(value);
+  if (actual !== schema.type) {
+    fail(`type_${schema.type}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail("enum", { values: schema.enum.join(", ") });
+    return;
+  }
+
+  switch (schema.type) {
+    case "number":
+      if (schema.integer && !Number.isInteger(value)) fail("integer");
+      if (schema.minimum !== undefined && value < schema.minimum) fail("minimum", { limit: schema.minimum });
+      if (schema.maximum !== undefined && value > schema.maximum) fail("maximum", { limit: schema.maximum });
+      break;
+
+    case "string":
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        fail("min_length", { limit: schema.minLength });
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        fail("max_length", { limit: schema.maxLength });
+      }
+      if (schema.format === "date-time" && !DateTime.fromISO(value).isValid) {
+        fail("date_time");
+      }
+      if (schema.format === "date" && !DateTime.fromFormat(value, "yyyy-MM-dd").isValid) {
+        fail("date");
+      }
+      if (schema.format === "time" && !DateTime.fromFormat(value, "HH:mm").isValid) {
+        fail("time");
+      }
+      break;
+
+    case "array":
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail("min_items", { limit: schema.minItems });
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail("max_items", { limit: schema.maxItems });
+      }
+      if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+        fail("unique_items");
+      }
+      if (schema.items) {
+        value.forEach((v, i) => check(schema.items, v, `${path}[${i}]`, errors));
+      }
+      break;
+
+    case "object": {
+      const props = schema.properties || {};
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          const p = path ? `${path}.${key}` : key;
+          errors.push(problem(p, "required"));
+        }
+      }
+      for (const [key, v] of Object.entries(value)) {
+        const p = path ? `${path}.${key}` : key;
+        if (props[key]) {
+          if (v !== undefined) check(props[key], v, p, errors);
+        } else if (schema.additionalProperties !== true) {
+          errors.push(problem(p, "unknown_field"));
+        }
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Validate `value` against `schema`. Throws a 400 ApiError naming the first
+ * offending field; `details` lists every problem found.
+ */
+function validate(schema, value) {
+  const errors = [];
+  check(schema, value, "", errors);
+  if (errors.length) {
+    throw new ApiError(400, "invalid_request", errors[0].translation, {
+      field: errors[0].field,
+      details: errors.map(({ field, message }) => ({ field, message })),
+      detailMessages: errors.map(e => e.translation),
+    });
+  }
+  return value;
+}
+
+// query strings only carry strings; convert the ones the schema wants typed
+function coerceQueryValue(schema, v) {
+  if (Array.isArray(v) && schema.type !== "array") v = v[v.length - 1];
+  if (schema.type === "number" && typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v))) {
+    return Number(v);
+  }
+  if (schema.type === "boolean" && (v === "true" || v === "false")) return v === "true";
+  if (schema.type === "array" && typeof v === "string") {
+    return v.split(",").map(x => coerceQueryValue(schema.items || {}, x.trim()));
+  }
+  return v;
+}
+
+/**
+ * validate() for a parsed query string (`req.query`): numbers, booleans and
+ * comma-separated arrays are converted first, per the schema's properties.
+ */
+function validateQuery(schema, query) {
+  const props = schema.properties || {};
+  const value = {};
+  for (const [k, v] of Object.entries(query || {})) {
+    value[k] = props[k] ? coerceQueryValue(props[k], v) : v;
+  }
+  return validate(schema, value);
+}
+
+module.exports = {
+  validate,
+  validateQuery,
+};
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+const { DateTime } = require("luxon");
+const { UpstreamError } = require("../errors");
+
+const DEFAULT_FIXTURE = path.join("data", "fixtures", "open-meteo-istanbul.json");
+
+/**
+ * Shift every hourly time by whole days so the forecast starts today
+ * (in the fixture's timezone). Keeps offline dev usable on any date.
+ */
+function rebaseToToday(weather) {
+  const tz = weather.timezone || "UTC";
+  const first = DateTime.fromISO(weather.hourly.time[0], { zone: tz }).startOf("day");
+  const today = DateTime.now().setZone(tz).startOf("day");
+  const days = Math.round(today.diff(first, "days").days);
+  if (days === 0) return weather;
+
+  return {
+    ...weather,
+    hourly: {
+      ...weather.hourly,
+      time: weather.hourly.time.map(t =>
+        DateTime.fromISO(t, { zone: tz }).plus({ days }).toFormat("yyyy-MM-dd'T'HH:mm")
+      ),
+    },
+  };
+}
+
+/**
+ * Serves a recorded Open-Meteo response from disk for any lat/lon.
+ * With `rebase: false` the recorded dates are kept as-is (deterministic tests).
+ */
+function createFixtureProvider({ file = DEFAULT_FIXTURE, rebase = true } = {}) {
+  const name = "fixture";
+  const p = path.isAbsolute(file) ? file : path.join(process.cwd(), file);
+
+  function read() {
+    try {
+      return JSON.parse(fs.readFileSync(p, "utf8"));
+    } catch (e) {
+      throw new UpstreamError(name, `Weather fixture ${file} could not be read: ${e.message}`, { cause: e });
+    }
+  }
+
+  async function getForecast() {
+    const weather = read();
+    return rebase ? rebaseToToday(weather) : weather;
+  }
+
+  // the fixture file is there and parses
+  async function check() {
+    read();
+  }
+
+  return { name, getForecast, check };
+}
+
+module.exports = {
+  createFixtureProvider,
+};
@@ -0,0 +1,100 @@
+const { createOpenMeteoProvider } = require("./open-meteo");
+const { createFixtureProvider } = require("./fixture");
+const { recordCacheLookup, timeUpstream } = require("../metrics");
+
+// forecasts are keyed by lat/lon rounded to this many decimals (~1 km)
+const CACHE_DECIMALS = 2;
+
+let PROVIDER = null;
+const CACHE = new Map();
+
+function envNumber(name, fallback) {
+  const n = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Provider chosen by WEATHER_PROVIDER ("open-meteo" by default, or "fixture").
+ */
+function providerFromEnv() {
+  const kind = process.env.WEATHER_PROVIDER || "open-meteo";
+
+  if (kind === "fixture") {
+    return createFixtureProvider({
+      file: process.env.WEATHER_FIXTURE || undefined,
+      rebase: process.env.WEATHER_FIXTURE_REBASE !== "false",
+    });
+  }
+  if (kind === "open-meteo") {
+    return createOpenMeteoProvider({
+      baseUrl: process.env.OPEN_METEO_BASE_URL || undefined,
+      timeoutMs: envNumber("WEATHER_TIMEOUT_MS", 8000),
+      retries: envNumber("WEATHER_RETRIES", 2),
+    });
+  }
+  throw new Error(`Unknown WEATHER_PROVIDER: ${kind}`);
+}
+
+function getWeatherProvider() {
+  if (!PROVIDER) PROVIDER = providerFromEnv();
+  return PROVIDER;
+}
+
+// tests and scripts can swap the provider (clears the cache too)
+function setWeatherProvider(provider) {
+  PROVIDER = provider;
+  CACHE.clear();
+}
+
+/**
+ * Hourly forecast for lat/lon, cached for WEATHER_CACHE_TTL_SECONDS
+ * (default 15 min). Concurrent requests for the same spot share one fetch.
+ */
+async function getWeather(lat, lon) {
+  const provider = getWeatherProvider();
+  const rlat = Number(lat.toFixed(CACHE_DECIMALS));
+  const rlon = Number(lon.toFixed(CACHE_DECIMALS));
+  const key = `${provider.name}:${rlat}:${rlon}`;
+  const ttlMs = envNumber("WEATHER_CACHE_TTL_SECONDS", 900) * 1000;
+
+  const now = Date.now();
+  for (const [k, v] of CACHE) {
+    if (v.expires <= now) CACHE.delete(k);
+  }
+
+  const hit = CACHE.get(key);
+  recordCacheLookup("weather", Boolean(hit));
+  if (hit) return hit.promise;
+
+  const promise = timeUpstream("weather", provider.name, () => provider.getForecast(rlat, rlon));
+  CACHE.set(key, { promise, expires: now + ttlMs });
+
+  try {
+    return await promise;
+  } catch (e) {
+    CACHE.delete(key); // don't cache failures
+    throw e;
+  }
+}
+
+/**
+ * Whether the WEATHER_PROVIDER settings give a usable provider, for /ready:
+ * { ok, provider, message? }. Providers may offer a cheap `check()`; none
+ * of them is asked for a forecast.
+ */
+async function weatherStatus() {
+  try {
+    const provider = getWeatherProvider();
+    if (provider.check) await provider.check();
+    return { ok: true, provider: provider.name };
+  } catch (e) {
+    return { ok: false, provider: process.env.WEATHER_PROVIDER || "open-meteo", message: e.message };
+  }
+}
+
+module.exports = {
+  getWeather,
+  getWeatherProvider,
+  weatherStatus,
+  setWeatherProvider,
+};
@@ -0,0 +1,74 @@
+const { UpstreamError } = require("../errors");
+
+const DEFAULT_BASE_URL = "https://api.open-meteo.com/v1/forecast";
+const HOURLY_VARIABLES = [
+  "cloud_cover",
+  "cloud_cover_low",
+  "cloud_cover_mid",
+  "cloud_cover_high",
+  "precipitation",
+  "wind_speed_10m",
+  "wind_speed_250hPa",
+  "temperature_2m",
+  "relative_humidity_2m",
+  "dew_point_2m",
+  "visibility",
+];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// retry network errors, timeouts, 429 and 5xx; a 4xx won't get better
+function isRetryable(err) {
+  const status = err.upstreamStatus;
+  return status === null || status === 429 || status >= 500;
+}
+
+/**
+ * Open-Meteo forecast provider. `baseUrl` points at /v1/forecast, so a
+ * self-hosted Open-Meteo instance works too.
+ */
+function createOpenMeteoProvider({ baseUrl = DEFAULT_BASE_URL, timeoutMs = 8000, retries = 2 } = {}) {
+  const name = "open-meteo";
+
+  async function fetchOnce(url) {
+    let res;
+    try {
+      res = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    } catch (e) {
+      const reason = e?.name === "TimeoutError" ? `timed out after ${timeoutMs} ms` : e?.message || String(e);
+      throw new UpstreamError(name, `Weather provider ${name} unreachable: ${reason}`, { cause: e });
+    }
+    if (!res.ok) {
+      throw new UpstreamError(name, `Weather provider ${name} returned HTTP ${res.status}`, {
+        status: res.status,
+      });
+    }
+    return await res.json();
+  }
+
+  async function getForecast(lat, lon) {
+    const url =
+      `${baseUrl}` +
+      `?latitude=${lat}&longitude=${lon}` +
+      `&hourly=${HOURLY_VARIABLES.join(",")}` +
+      `&timezone=auto`;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetchOnce(url);
+      } catch (e) {
+        if (attempt >= retries || !isRetryable(e)) throw e;
+        await sleep(250 * 2 ** attempt);
+      }
+    }
+  }
+
+  return { name, getForecast };
+}
+
+module.exports = {
+  HOURLY_VARIABLES,
+  createOpenMeteoProvider,
+};
@@ -0,0 +1,138 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { ApiError, UpstreamError } = require("./errors");
+
+const TIMEOUT_MS = 10000;
+const LOCAL_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+// loopback, private, link-local (cloud metadata), CGNAT, multicast and
+// reserved ranges: a webhook must not reach into our own network
+const PRIVATE_RANGES = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_RANGES.addSubnet(addr, prefix, "ipv4");
+}
+for (const [addr, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_RANGES.addSubnet(addr, prefix, "ipv6");
+}
+
+// WEBHOOK_ALLOW_PRIVATE=true lets development point webhooks at this machine
+function privateAllowed() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE === "true";
+}
+
+/**
+ * The first address `hostname` resolves to that is in PRIVATE_RANGES, or
+ * null if there is none. Throws what dns.lookup throws.
+ */
+async function privateAddress(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addrs = await dns.promises.lookup(host, { all: true, verbatim: true });
+  const hit = addrs.find(a => PRIVATE_RANGES.check(a.address, a.family === 6 ? "ipv6" : "ipv4"));
+  return hit ? hit.address : null;
+}
+
+function newWebhookSecret() {
+  return "whsec_" + crypto.randomBytes(24).toString("base64url");
+}
+
+/**
+ * https URL for webhooks whose host resolves to public addresses only.
+ * With WEBHOOK_ALLOW_PRIVATE=true private hosts pass too, and plain http to
+ * this machine.
+ */
+async function checkWebhookUrl(value, field = "webhook_url") {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new ApiError(400, "invalid_request", { key: "errors.url_invalid", params: { field } }, { field });
+  }
+  const local = url.protocol === "http:" && LOCAL_HOSTS.has(url.hostname) && privateAllowed();
+  if (url.protocol !== "https:" && !local) {
+    throw new ApiError(400, "invalid_request", { key: "errors.url_not_https", params: { field } }, { field });
+  }
+  if (privateAllowed()) return url.toString();
+
+  let address;
+  try {
+    address = await privateAddress(url.hostname);
+  } catch {
+    throw new ApiError(400, "invalid_request", { key: "errors.url_unresolved", params: { field } }, { field });
+  }
+  if (address) {
+    throw new ApiError(400, "invalid_request", {
+      key: "errors.url_private",
+      params: { field, address },
+    }, { field });
+  }
+  return url.toString();
+}
+
+/**
+ * Hex HMAC-SHA256 of "<timestamp>.<body>". Receivers recompute it with their
+ * secret and compare against the X-Astrosyo-Signature header.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * POST `payload` as JSON, signed with `secret`. Throws UpstreamError unless
+ * the receiver answers 2xx; redirects are not followed, and the host is
+ * checked again in case its DNS now points somewhere private.
+ */
+async function deliverWebhook(url, secret, payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let res;
+  try {
+    const address = privateAllowed() ? null : await privateAddress(new URL(url).hostname);
+    if (address) throw new Error(`host resolves to private address ${address}`);
+    res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "astrosyo-webhooks",
+        "X-Astrosyo-Timestamp": String(timestamp),
+        "X-Astrosyo-Signature": `sha256=${signPayload(secret, timestamp, body)}`,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (e) {
+    throw new UpstreamError("webhook", `Webhook request failed: ${e.message}`, { cause: e });
+  }
+  if (!res.ok) {
+    throw new UpstreamError("webhook", `Webhook answered HTTP ${res.status}`, { status: res.status });
+  }
+  return res.status;
+}
+
+module.exports = {
+  checkWebhookUrl,
+  deliverWebhook,
+  newWebhookSecret,
+  signPayload,
+};
@@ -0,0 +1,32 @@
+// Every API endpoint, shared by server.js and dev-server.js.
+// On Vercel the same handlers are served from api/<name>.js (":id" is a
+// [id].js file there).
+module.exports = [
+  { path: "/health", handler: require("./api/health") },
+  { path: "/ready", handler: require("./api/ready") },
+  { path: "/metrics", handler: require("./api/metrics") },
+  { path: "/observe-tonight", handler: require("./api/observe-tonight") },
+  { path: "/observe-week", handler: require("./api/observe-week") },
+  { path: "/objects", handler: require("./api/objects") },
+  { path: "/objects/:id", handler: require("./api/objects/[id]") },
+  { path: "/charts/sky", handler: require("./api/charts/sky") },
+  { path: "/charts/finder/:id", handler: require("./api/charts/finder/[id]") },
+  { path: "/marathon", handler: require("./api/marathon") },
+  { path: "/sessions", handler: require("./api/sessions") },
+  { path: "/sessions/:id", handler: require("./api/sessions/[id]") },
+  { path: "/sessions/:id/observations", handler: require("./api/sessions/[id]/observations") },
+  { path: "/progress", handler: require("./api/progress") },
+  { path: "/users", handler: require("./api/users") },
+  { path: "/me", handler: require("./api/me") },
+  { path: "/me/token", handler: require("./api/me/token") },
+  { path: "/sites", handler: require("./api/sites") },
+  { path: "/sites/:id", handler: require("./api/sites/[id]") },
+  { path: "/equipment", handler: require("./api/equipment") },
+  { path: "/equipment/:id", handler: require("./api/equipment/[id]") },
+  { path: "/alerts", handler: require("./api/alerts") },
+  { path: "/alerts/:id", handler: require("./api/alerts/[id]") },
+  { path: "/alerts/:id/check", handler: require("./api/alerts/[id]/check") },
+  { path: "/cron/alerts", handler: require("./api/cron/alerts") },
+  { path: "/admin/keys", handler: require("./api/admin/keys") },
+  { path: "/admin/keys/:id", handler: require("./api/admin/keys/[id]") },
+];
@@ -1,167 +1,22 @@
 const express = require("express");
-const OpenAI = require("openai");
 
 require("dotenv").config();
 
+const routes = require("./routes");
+const { ApiError, sendError } = require("./lib/errors");
+const { instrumentRoute } = require("./lib/http");
+const { log } = require("./lib/log");
+const { startAlertScheduler } = require("./lib/alerts");
+
 const app = express();
 app.use(express.json());
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-
-async function getWeather(lat, lon) {
-  const url =
-    `https://api.open-meteo.com/v1/forecast` +
-    `?latitude=${lat}&longitude=${lon}` +
-    `&hourly=cloud_cover,precipitation,wind_speed_10m` +
-    `&timezone=auto`;
-
-  const res = await fetch(url);
-  if (!res.ok) {
-    throw new Error("Weather API request failed");
-  }
-  return await res.json();
-}
-
-app.get("/health", (req, res) => {
-  res.json({ ok: true, message: "Backend is running" });
-});
-
-function makeRuleBasedPlan(tonight, equipment) {
-  const aperture = equipment?.aperture_mm;
-
-  if (tonight.verdict === "Bad") {
-    return [
-      "Clouds/precip look bad. Expect limited observing.",
-      "If there are brief gaps: try the Moon (if up) or bright planets.",
-      "If clouds persist: use the night for planning—check tomorrow’s forecast and prep your gear.",
-    ];
-  }
-
-  if (tonight.verdict === "Mixed") {
-    return [
-      "Conditions are mixed. Watch for clear windows.",
-      "Focus on bright targets: planets, Moon, bright star clusters (Pleiades, Beehive if visible).",
-      "Keep sessions short and flexible—observe whenever the sky opens.",
-    ];
-  }
-
-  // OK
-  const base = [
-    "Conditions look decent. Plan a full session.",
-    "Start with bright/easy targets, then go deeper later in the night.",
-  ];
-
-  if (typeof aperture === "number" && aperture >= 150) {
-    base.push("With ~150mm+ aperture, you can also try brighter nebulae/galaxies (e.g., Orion Nebula, Andromeda if visible).");
-  } else {
-    base.push("With smaller aperture/binoculars, prioritize open clusters and bright nebulae.");
-  }
-
-  return base;
-}
-
-function summarizeTonight(weather) {
-  // Use the first 6 hours in the response (you can adjust later)
-  const clouds = weather.hourly.cloud_cover.slice(0, 6);
-  const precip = weather.hourly.precipitation.slice(0, 6);
-
-  const avgCloud = clouds.reduce((a, b) => a + b, 0) / clouds.length;
-  const totalPrecip = precip.reduce((a, b) => a + b, 0);
-
-  let verdict = "OK";
-  if (avgCloud > 80 || totalPrecip > 1) verdict = "Bad";
-  else if (avgCloud > 50) verdict = "Mixed";
-
-  return {
-    verdict,                    // "Bad" | "Mixed" | "OK"
-    avg_cloud_cover_percent: Math.round(avgCloud),
-    total_precip_mm: Math.round(totalPrecip * 10) / 10
-  };
+// same handlers as Vercel and dev-server.js, at /<name> and /api/<name>;
+// each one instruments itself
+for (const { path, handler } of routes) {
+  app.all([path, `/api${path}`], handler);
 }
 
-async function getAiPlan({ tonight, equipment }) {
-  const messages = [
-    {
-      role: "system",
-      content:
-        "You are an astronomy observing assistant. Be honest and practical. Keep the answer short (max 5 bullet points).",
-    },
-    {
-      role: "user",
-      content:
-        `Conditions verdict: ${tonight.verdict}.
-Average cloud cover: ${tonight.avg_cloud_cover_percent}%.
-Total precipitation: ${tonight.total_precip_mm} mm.
-Telescope aperture: ${equipment?.aperture_mm || "unknown"} mm.
-
-User asks: What can I observe tonight?`,
-    },
-  ];
-
-  const response = await openai.chat.completions.create({
-    model: "gpt-4o-mini",
-    messages,
-    max_tokens: 200,
-    temperature: 0.7,
-  });
-
-  return response.choices[0].message.content;
-}
-
-app.post("/observe-tonight", async (req, res) => {
-  try {
-    const { lat, lon, equipment } = req.body || {};
-
-    if (typeof lat !== "number" || typeof lon !== "number") {
-      return res.status(400).json({
-        ok: false,
-        error: "lat and lon must be numbers",
-      });
-    }
-
-    const weather = await getWeather(lat, lon);
-    const tonight = summarizeTonight(weather);
-    const plan = makeRuleBasedPlan(tonight, equipment);
-
-    let ai_plan = null;
-    try {
-      ai_plan = await getAiPlan({ tonight, equipment });
-    } catch (e) {
-      ai_plan = null;
-      console.error("OpenAI error:", e?.message || e);
-      // If the SDK provides a response body, print it too:
-      if (e?.response?.data) console.error("OpenAI error data:", e.response.data);
-    }
-
-    res.json({
-      ok: true,
-      received: { lat, lon, equipment },
-      tonight,
-      plan,
-      ai_plan,
-      weather: {
-        timezone: weather.timezone,
-        hourly_units: weather.hourly_units,
-        hourly: {
-          time: weather.hourly.time.slice(0, 12),
-          cloud_cover: weather.hourly.cloud_cover.slice(0, 12),
-          precipitation: weather.hourly.precipitation.slice(0, 12),
-          wind_speed_10m: weather.hourly.wind_speed_10m.slice(0, 12),
-        },
-      },
-    });
-  } catch (err) {
-    res.status(500).json({
-      ok: false,
-      error: err.message || "Unknown error",
-    });
-  }
-});
-
-
 app.get("/", (req, res) => {
   res.type("html").send(`
 <!doctype html>
@@ -249,7 +104,7 @@ app.get("/", (req, res) => {
     function renderTonight(tonight) {
       if (!tonight) return "<em>No data</em>";
       const v = tonight.verdict || "Unknown";
-      const cls = v === "Bad" ? "pill bad" : v === "Mixed" ? "pill mixed" : "pill ok";
+      const cls = v === "bad" ? "pill bad" : v === "mixed" ? "pill mixed" : "pill ok";
       return \`
         <div>
           <span class="\${cls}">Verdict: \${escapeHtml(v)}</span>
@@ -266,6 +121,13 @@ app.get("/", (req, res) => {
       return "<ul>" + arr.map(x => "<li>" + escapeHtml(x) + "</li>").join("") + "</ul>";
     }
 
+    function renderAiPlan(ai) {
+      if (!ai) return "<em>(no AI plan)</em>";
+      return "<p>" + escapeHtml(ai.summary) + "</p>" +
+        renderList(ai.targets.map(t => t.order + ". " + t.name + " — " + t.tip)) +
+        (ai.warnings.length ? renderList(ai.warnings) : "");
+    }
+
     $("btn").addEventListener("click", async () => {
       $("status").textContent = "Loading...";
       $("raw").textContent = "";
@@ -285,12 +147,15 @@ app.get("/", (req, res) => {
         });
 
         const data = await res.json();
+        if (!data.ok) {
+          $("raw").textContent = JSON.stringify(data, null, 2);
+          $("status").textContent = "Error: " + data.error.message;
+          return;
+        }
 
         $("tonightBox").innerHTML = renderTonight(data.tonight);
         $("planBox").innerHTML = renderList(data.plan);
-        $("aiBox").innerHTML = data.ai_plan
-          ? "<pre>" + escapeHtml(data.ai_plan) + "</pre>"
-          : "<em>(AI plan is null)</em>";
+        $("aiBox").innerHTML = renderAiPlan(data.ai_plan);
 
         $("raw").textContent = JSON.stringify(data, null, 2);
         $("status").textContent = "Done";
@@ -304,7 +169,24 @@ app.get("/", (req, res) => {
   `);
 });
 
+app.use(instrumentRoute(null, (req, res) => {
+  sendError(res, new ApiError(404, "not_found", {
+    key: "errors.no_route",
+    params: { method: req.method, path: req.path },
+  }));
+}));
+
+// malformed JSON from express.json() and anything thrown past a handler
+app.use((err, req, res, next) => {
+  const send = () => sendError(res, err.type === "entity.parse.failed"
+    ? new ApiError(400, "invalid_json", { key: "errors.invalid_json" })
+    : err);
+  // body parsing fails before any route is instrumented
+  return req.id ? send() : instrumentRoute(null, send)(req, res);
+});
+
 app.listen(3000, () => {
-  console.log("Server running on http://localhost:3000");
+  log.info("server listening", { url: "http://localhost:3000" });
+  startAlertScheduler();
 });
 
@@ -0,0 +1,168 @@
+const { call } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryLimitStore } = require("../lib/access");
+const { setLlmProvider } = require("../lib/llm");
+const { createMockProvider } = require("../lib/llm/mock");
+const users = require("../api/users");
+const observeTonight = require("../api/observe-tonight");
+const sites = require("../api/sites");
+const adminKeys = require("../api/admin/keys");
+const adminKey = require("../api/admin/keys/[id]");
+
+process.env.ADMIN_SECRET = "test-admin-secret";
+const ADMIN = { authorization: "Bearer test-admin-secret" };
+
+// run `fn` with some environment variables set, then put them back
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map(k => [k, process.env[k]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [k, v] of Object.entries(saved)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
+
+async function newKey(fields = {}) {
+  const res = await call(adminKeys, { method: "POST", headers: ADMIN, body: { name: "test", ...fields } });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+test("token buckets empty, refill with time and say when to retry", async () => {
+  let now = 0;
+  const limits = createMemoryLimitStore({ now: () => now });
+  const opts = { capacity: 2, refillPerSecond: 2 / 60 };
+
+  assert.equal((await limits.take("k", opts)).allowed, true);
+  assert.equal((await limits.take("k", opts)).remaining, 0);
+  const denied = await limits.take("k", opts);
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.retryAfterSeconds, 30);
+
+  now += 30 * 1000;
+  assert.equal((await limits.take("k", opts)).allowed, true);
+  // other keys have their own bucket
+  assert.equal((await limits.take("other", opts)).allowed, true);
+});
+
+test("counters expire after their ttl", async () => {
+  let now = 0;
+  const limits = createMemoryLimitStore({ now: () => now });
+  await limits.increment("c", 60);
+  assert.equal(await limits.increment("c", 60), 2);
+  now += 61 * 1000;
+  assert.equal(await limits.get("c"), 0);
+});
+
+test("an IP over its per-minute limit gets 429 with Retry-After", async () => {
+  await withEnv({ RATE_LIMIT_IP_PER_MINUTE: "3" }, async () => {
+    const ip = "203.0.113.10";
+    for (let i = 0; i < 3; i++) {
+      const res = await call(sites, { headers: {}, ip });
+      // no token, but the rate limit comes first
+      assert.equal(res.status, 401);
+      assert.equal(res.headers["x-ratelimit-limit"], 3);
+    }
+    const res = await call(sites, { ip });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error.code, "rate_limited");
+    assert.ok(res.headers["retry-after"] > 0);
+    assert.equal(res.body.error.details.retry_after_seconds, res.headers["retry-after"]);
+  });
+});
+
+test("an API key's own rate limit applies on top of the IP's", async () => {
+  const { key } = await newKey({ rate_per_minute: 2 });
+  const headers = { "x-api-key": key };
+  const ip = "203.0.113.20";
+  const post = () => call(users, { method: "POST", headers, ip, body: { name: "a" } });
+  assert.equal((await post()).status, 201);
+  const ok = await post();
+  assert.equal(ok.status, 201);
+  assert.equal(ok.headers["x-ratelimit-limit"], 2);
+  assert.equal((await post()).status, 429);
+});
+
+test("REQUIRE_API_KEY turns away missing, unknown and revoked keys", async () => {
+  const { api_key: apiKey, key } = await newKey();
+  await withEnv({ REQUIRE_API_KEY: "true" }, async () => {
+    const post = (headers) => call(users, { method: "POST", headers, body: { name: "a" } });
+
+    let res = await post({});
+    assert.equal(res.status, 401);
+    assert.match(res.body.error.message, /X-API-Key/);
+
+    res = await post({ "x-api-key": "ak_not-a-key" });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.message, "Invalid API key");
+
+    assert.equal((await post({ "x-api-key": key })).status, 201);
+
+    const revoked = await call(adminKey, { method: "DELETE", headers: ADMIN, query: { id: apiKey.id } });
+    assert.equal(revoked.status, 204);
+    res = await post({ "x-api-key": key });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.message, "This API key has been revoked");
+  });
+});
+
+test("admin endpoints need ADMIN_SECRET", async () => {
+  let res = await call(adminKeys, {});
+  assert.equal(res.status, 401);
+  res = await call(adminKeys, { headers: { authorization: "Bearer wrong" } });
+  assert.equal(res.status, 401);
+  res = await call(adminKeys, { headers: ADMIN });
+  assert.equal(res.status, 200);
+  for (const k of res.body.keys) assert.equal(k.key_hash, undefined);
+});
+
+test("the AI quota counts failed calls but not cached plans", async () => {
+  const mock = createMockProvider();
+  let calls = 0;
+  let failing = true;
+  setLlmProvider({
+    ...mock,
+    async completeJson(args) {
+      calls++;
+      if (failing) throw new Error("upstream timed out");
+      return mock.completeJson(args);
+    },
+  });
+  const observe = (ip, body = {}) =>
+    call(observeTonight, { method: "POST", ip, body: { lat: 39.93, lon: 32.86, date: "2026-02-10", ...body } });
+
+  try {
+    await withEnv({ AI_DAILY_QUOTA_ANONYMOUS: "2" }, async () => {
+      const ip = "203.0.113.30";
+      for (let i = 0; i < 2; i++) {
+        const res = await observe(ip);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.ai_plan, null);
+        assert.match(res.body.ai_error, /upstream timed out/);
+      }
+      const res = await observe(ip);
+      assert.equal(res.body.ai_error, null);
+      assert.equal(res.body.ai_plan_skipped.reason, "quota_exceeded");
+      assert.equal(res.body.ai_plan_skipped.used, 2);
+      assert.ok(res.body.plan);
+      assert.equal(calls, 2);
+
+      // a plan from the cache costs nothing, even for a caller at its limit
+      failing = false;
+      const first = await observe("203.0.113.31", { lat: 39.94 });
+      assert.equal(first.body.ai_plan.cached, false);
+      const again = await observe("203.0.113.31", { lat: 39.94 });
+      assert.equal(again.body.ai_plan.cached, true);
+      const atLimit = await observe(ip, { lat: 39.94 });
+      assert.equal(atLimit.body.ai_plan.cached, true);
+      assert.equal(calls, 3);
+    });
+  } finally {
+    setLlmProvider(undefined);
+  }
+});
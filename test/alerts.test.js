@@ -0,0 +1,55 @@
+const { ISTANBUL, call } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const users = require("../api/users");
+const alertsIndex = require("../api/alerts");
+const alertItem = require("../api/alerts/[id]");
+const { runAlerts } = require("../lib/alerts");
+
+process.env.WEBHOOK_ALLOW_PRIVATE = "true";
+
+const ALERT = { ...ISTANBUL, name: "Roof", webhook_url: "http://localhost:9/hook", max_cloud_percent: 100, min_window_hours: 1 };
+const NOON = new Date("2026-02-10T12:00:00+03:00");
+
+function recorder({ fail = false } = {}) {
+  const sent = [];
+  const deliver = async (url, secret, payload) => {
+    if (fail) throw new Error("receiver answered 503");
+    sent.push(payload);
+  };
+  return { sent, deliver };
+}
+
+test("an alert notifies once per night, edits included, and again the next night", async () => {
+  const signup = await call(users, { method: "POST", body: { name: "Ada" } });
+  const auth = { authorization: `Bearer ${signup.body.token}` };
+  const created = await call(alertsIndex, { method: "POST", headers: auth, body: ALERT });
+  assert.equal(created.status, 201);
+  const id = created.body.alert.id;
+
+  const first = recorder();
+  let summary = await runAlerts({ now: NOON, deliver: first.deliver });
+  assert.equal(summary.sent, 1);
+  assert.equal(first.sent[0].night_of, "2026-02-10");
+  assert.equal(first.sent[0].alert.id, id);
+
+  // a later check the same night, and one after an edit, stay quiet
+  const again = recorder();
+  summary = await runAlerts({ now: new Date(NOON.getTime() + 2 * 3600 * 1000), deliver: again.deliver });
+  assert.deepEqual([summary.sent, summary.already_sent], [0, 1]);
+  const edited = await call(alertItem, { method: "PUT", headers: auth, query: { id }, body: { ...ALERT, name: "Balcony" } });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.alert.last_notified_night, "2026-02-10");
+  summary = await runAlerts({ now: new Date(NOON.getTime() + 3 * 3600 * 1000), deliver: again.deliver });
+  assert.equal(summary.already_sent, 1);
+  assert.equal(again.sent.length, 0);
+
+  // a failed delivery isn't marked as sent, so the next run retries
+  const nextNoon = new Date(NOON.getTime() + 24 * 3600 * 1000);
+  summary = await runAlerts({ now: nextNoon, deliver: recorder({ fail: true }).deliver });
+  assert.equal(summary.failed, 1);
+  const next = recorder();
+  summary = await runAlerts({ now: nextNoon, deliver: next.deliver });
+  assert.equal(summary.sent, 1);
+  assert.equal(next.sent[0].night_of, "2026-02-11");
+});
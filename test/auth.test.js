@@ -0,0 +1,48 @@
+const { ISTANBUL, call } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const users = require("../api/users");
+const me = require("../api/me");
+const sites = require("../api/sites");
+const site = require("../api/sites/[id]");
+
+async function newUser(name) {
+  const res = await call(users, { method: "POST", body: { name } });
+  assert.equal(res.status, 201);
+  return { user: res.body.user, auth: { authorization: `Bearer ${res.body.token}` } };
+}
+
+test("user endpoints need a valid bearer token", async () => {
+  let res = await call(me, {});
+  assert.equal(res.status, 401);
+  assert.match(res.body.error.message, /Authorization: Bearer/);
+
+  res = await call(me, { headers: { authorization: "Bearer nope" } });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error.message, "Invalid API token");
+
+  const { auth } = await newUser("Ada");
+  res = await call(me, { headers: auth });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.user.name, "Ada");
+  assert.equal(res.body.user.token, undefined);
+});
+
+test("saved sites belong to the user who saved them", async () => {
+  const ada = await newUser("Ada");
+  const bob = await newUser("Bob");
+
+  const created = await call(sites, { method: "POST", headers: ada.auth, body: { name: "Roof", ...ISTANBUL } });
+  assert.equal(created.status, 201);
+  const id = created.body.site.id;
+
+  const mine = await call(sites, { headers: ada.auth });
+  assert.deepEqual(mine.body.sites.map(s => s.id), [id]);
+  assert.deepEqual((await call(sites, { headers: bob.auth })).body.sites, []);
+
+  const theirs = await call(site, { headers: bob.auth, query: { id } });
+  assert.equal(theirs.status, 404);
+  const removed = await call(site, { method: "DELETE", headers: bob.auth, query: { id } });
+  assert.equal(removed.status, 404);
+  assert.equal((await call(site, { headers: ada.auth, query: { id } })).status, 200);
+});
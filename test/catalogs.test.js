@@ -0,0 +1,76 @@
+require("./helpers");
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { CATALOGS, findObject, listCatalogs, loadCatalogs, mergeObjects } = require("../lib/catalogs");
+
+function object(id, catalog, fields = {}) {
+  return {
+    id,
+    designations: [id],
+    catalogs: [catalog],
+    common_name: null,
+    magnitude: 8,
+    size_major_arcmin: 10,
+    size_minor_arcmin: 5,
+    ra_deg: 10,
+    dec_deg: 41,
+    ...fields,
+  };
+}
+
+test("every catalog file loads and no entry is lost to a merge", () => {
+  for (const c of listCatalogs()) {
+    const file = JSON.parse(fs.readFileSync(path.join("data", CATALOGS[c.id].file), "utf8"));
+    assert.equal(c.object_count, file.length, c.id);
+  }
+  assert.equal(listCatalogs().find(c => c.id === "herschel400").object_count, 400);
+});
+
+test("cross-listed objects are one entry under all their designations", () => {
+  const m31 = findObject("M31");
+  assert.equal(findObject("ngc 224"), m31);
+  assert.deepEqual(m31.catalogs, ["messier", "ngcic"]);
+  // NGC 5195 is M51's companion, not M51
+  assert.notEqual(findObject("NGC 5195"), findObject("M51"));
+  assert.ok(findObject("NGC 5195").catalogs.includes("herschel400"));
+  const ids = loadCatalogs(["messier", "caldwell", "ngcic", "herschel400"]).map(o => o.id);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test("merging keeps the first catalog's fields and fills the gaps", () => {
+  const { objects, byDesignation } = mergeObjects([
+    object("M31", "messier", { designations: ["M31", "NGC 224"], common_name: null }),
+    object("NGC 224", "ngcic", { common_name: "Andromeda Galaxy", magnitude: 8.5 }),
+  ]);
+  assert.equal(objects.length, 1);
+  assert.equal(objects[0].magnitude, 8);
+  assert.equal(objects[0].common_name, "Andromeda Galaxy");
+  assert.deepEqual(objects[0].catalogs, ["messier", "ngcic"]);
+  assert.equal(byDesignation.get("NGC224"), objects[0]);
+});
+
+test("copies that disagree fail to load", () => {
+  const m31 = () => object("M31", "messier", { designations: ["M31", "NGC 224"] });
+  const cases = [
+    [{ magnitude: 9.5 }, "magnitude"],
+    [{ size_major_arcmin: 25 }, "size_major_arcmin"],
+    [{ dec_deg: 41.5 }, "position"],
+  ];
+  for (const [fields, check] of cases) {
+    assert.throws(
+      () => mergeObjects([m31(), object("NGC 224", "ngcic", fields)]),
+      new RegExp(`Catalog conflict for M31 \\(ngcic NGC 224\\): ${check}`),
+    );
+  }
+  // one entry bridging two separate objects
+  assert.throws(
+    () => mergeObjects([
+      object("NGC 869", "ngcic"),
+      object("NGC 884", "ngcic"),
+      object("C14", "caldwell", { designations: ["C14", "NGC 869", "NGC 884"] }),
+    ]),
+    /Catalog conflict for C14 \(caldwell\): one entry for NGC 869 and NGC 884/,
+  );
+});
@@ -0,0 +1,95 @@
+const { ISTANBUL, call } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createMockProvider } = require("../lib/llm/mock");
+const { setLlmProvider } = require("../lib/llm");
+const { formatDec, formatRa } = require("../lib/export");
+const observeTonight = require("../api/observe-tonight");
+
+// the mock AI, counting how often a plan is asked for
+const mock = createMockProvider();
+let aiCalls = 0;
+setLlmProvider({
+  ...mock,
+  async completeJson(args) {
+    aiCalls++;
+    return mock.completeJson(args);
+  },
+});
+
+function plan(format, extra = {}) {
+  return call(observeTonight, {
+    method: "POST",
+    url: "/observe-tonight",
+    body: { ...ISTANBUL, date: "2026-02-10", format, ...extra },
+  });
+}
+
+test("formatRa and formatDec write sexagesimal coordinates", () => {
+  assert.equal(formatRa(10.6847), "0h42m44.3s");
+  assert.equal(formatDec(41.269), "+41°16'08\"");
+  assert.equal(formatDec(-5.39), "-5°23'24\"");
+});
+
+test("json plans include an AI plan, exports never ask for one", async () => {
+  aiCalls = 0;
+  const json = await plan("json");
+  assert.equal(json.status, 200);
+  assert.ok(json.body.ai_plan);
+  assert.equal(aiCalls, 1);
+
+  for (const format of ["csv", "ics", "stellarium", "skysafari"]) {
+    const res = await plan(format);
+    assert.equal(res.status, 200, format);
+  }
+  assert.equal(aiCalls, 1);
+});
+
+test("csv has a header row and one CRLF-terminated row per target", async () => {
+  const json = await plan("json");
+  const res = await plan("csv");
+  assert.match(res.headers["content-type"], /^text\/csv/);
+  assert.match(res.headers["content-disposition"], /astrosyo-plan-2026-02-10\.csv/);
+
+  const lines = res.text.split("\r\n");
+  assert.equal(lines.pop(), "");
+  const header = lines[0].split(",");
+  for (const col of ["id", "ra", "dec", "azimuth_deg", "compass", "airmass"]) assert.ok(header.includes(col), col);
+  const ids = new Set(lines.slice(1).map(l => l.split(",")[header.indexOf("id")]));
+  for (const t of json.body.targets) assert.ok(ids.has(t.id), t.id);
+});
+
+test("ics is a folded VCALENDAR with the dark interval and best window", async () => {
+  const res = await plan("ics");
+  assert.match(res.headers["content-type"], /^text\/calendar/);
+  assert.ok(res.text.startsWith("BEGIN:VCALENDAR\r\n"));
+  assert.ok(res.text.endsWith("END:VCALENDAR\r\n"));
+  assert.equal(res.text.match(/BEGIN:VEVENT/g).length, 2);
+  for (const line of res.text.split("\r\n")) assert.ok(Buffer.byteLength(line) <= 75, line);
+});
+
+test("stellarium and skysafari lists match the csv rows", async () => {
+  const json = await plan("json");
+  const deepSky = json.body.targets.filter(t => t.kind === "deep_sky");
+  // the itinerary first, then targets it left out
+  const rows = (await plan("csv")).text.trim().split("\r\n").length - 1;
+
+  const sol = JSON.parse((await plan("stellarium")).text);
+  const list = sol.observingLists[sol.defaultListOid];
+  assert.equal(list.objects.length, rows);
+  for (const o of list.objects) assert.ok(o.jd > 2461000, `${o.designation} jd ${o.jd}`);
+
+  const sky = (await plan("skysafari")).text;
+  assert.ok(sky.startsWith("SkySafariObservingListVersion=3.0\n"));
+  assert.equal(sky.match(/SkyObject=BeginObject/g).length, rows);
+  for (const t of deepSky) {
+    const number = t.designations[0].replace(/^([A-Za-z]+)\s*/, "$1 ").toUpperCase();
+    assert.ok(sky.includes(`CatalogNumber=${number}`), number);
+  }
+});
+
+test("an unknown format is a 400", async () => {
+  const res = await plan("pdf");
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.field, "format");
+});
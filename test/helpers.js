@@ -0,0 +1,68 @@
+// Shared test setup: the recorded Istanbul forecast (2026-02-08..14, never
+// rebased), the mock AI, a throwaway DATA_DIR and a fake req/res pair for
+// calling handlers directly. Require it before anything from lib/ or api/.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+
+process.env.WEATHER_PROVIDER = "fixture";
+process.env.WEATHER_FIXTURE_REBASE = "false";
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "astrosyo-test-"));
+process.env.LOG_LEVEL = "error";
+process.env.LLM_PROVIDER = "mock";
+delete process.env.REQUIRE_API_KEY;
+
+process.on("exit", () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// where the fixture forecast was recorded
+const ISTANBUL = { lat: 41.01, lon: 28.98 };
+
+/**
+ * Call a Vercel-style handler and resolve with the response once it ends:
+ * { status, headers (lower-cased), text, body (parsed JSON, if it is) }.
+ */
+function call(handler, { method = "GET", url = "/", query = {}, headers = {}, body, ip = "127.0.0.1" } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = {
+      method,
+      url,
+      query,
+      headers,
+      body: body === undefined ? null : JSON.stringify(body),
+      socket: { remoteAddress: ip },
+    };
+    const res = new EventEmitter();
+    const out = { status: 200, headers: {} };
+    res.req = req;
+    res.statusCode = 200;
+    res.setHeader = (k, v) => {
+      out.headers[k.toLowerCase()] = v;
+    };
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (obj) => {
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+      return res.end(JSON.stringify(obj));
+    };
+    res.end = (data) => {
+      out.status = res.statusCode;
+      out.text = data === undefined ? "" : String(data);
+      try {
+        out.body = JSON.parse(out.text);
+      } catch {
+        out.body = null;
+      }
+      res.emit("finish");
+      resolve(out);
+    };
+    Promise.resolve(handler(req, res)).catch(reject);
+  });
+}
+
+module.exports = {
+  ISTANBUL,
+  call,
+};
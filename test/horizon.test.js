@@ -0,0 +1,46 @@
+const { ISTANBUL } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getWeather } = require("../lib/weather");
+const { assessNight } = require("../lib/night");
+const { airmass, compassPoint, horizonMask } = require("../lib/horizon");
+
+test("horizon sectors wrap past north and the highest overlapping one wins", () => {
+  const mask = horizonMask(
+    {
+      min_altitude_deg: 10,
+      sectors: [
+        { from_az_deg: 300, to_az_deg: 30, min_altitude_deg: 25 },
+        { from_az_deg: 0, to_az_deg: 90, min_altitude_deg: 40 },
+      ],
+    },
+    15,
+  );
+  assert.equal(mask(310), 25);
+  assert.equal(mask(10), 40);
+  assert.equal(mask(180), 10);
+  assert.equal(horizonMask(null, 15)(180), 15);
+});
+
+test("compass points and airmass", () => {
+  assert.equal(compassPoint(0), "N");
+  assert.equal(compassPoint(200), "SSW");
+  assert.equal(compassPoint(355), "N");
+  assert.ok(Math.abs(airmass(90) - 1) < 0.001);
+  assert.ok(airmass(30) > 1.99 && airmass(30) < 2.01);
+  assert.equal(airmass(-1), null);
+});
+
+test("a horizon profile keeps targets above the blocked sector", async () => {
+  const weather = await getWeather(ISTANBUL.lat, ISTANBUL.lon);
+  const horizon = { sectors: [{ from_az_deg: 0, to_az_deg: 360, min_altitude_deg: 50 }] };
+  const n = assessNight({
+    ...ISTANBUL,
+    weather,
+    from: new Date("2026-02-10T12:00:00+03:00"),
+    darkness: "astronomical",
+    horizon,
+  });
+  assert.ok(n.targets.length > 0);
+  for (const t of n.targets) assert.ok(t.altitude_deg >= 50, `${t.id} at ${t.altitude_deg}°`);
+});
@@ -0,0 +1,33 @@
+const { ISTANBUL, call } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DateTime } = require("luxon");
+const observeTonight = require("../api/observe-tonight");
+
+async function itinerary(body) {
+  const res = await call(observeTonight, { method: "POST", body: { ...ISTANBUL, ...body } });
+  assert.equal(res.status, 200);
+  return res.body.itinerary;
+}
+
+const at = (iso) => DateTime.fromISO(iso).toMillis();
+
+for (const body of [{ date: "2026-02-10" }, { date: "2026-02-12", time: "23:10" }, { date: "2026-06-20" }]) {
+  test(`every entry fits in its slot and ends by the session end (${JSON.stringify(body)})`, async () => {
+    const it = await itinerary(body);
+    assert.ok(it.object_count > 0);
+    const end = at(it.end);
+    let clock = at(it.start);
+    for (const slot of it.slots) {
+      for (const e of slot.entries) {
+        const s = at(e.start);
+        const finish = s + e.dwell_minutes * 60 * 1000;
+        assert.ok(s >= clock, `${e.id} at ${e.start} overlaps the previous entry`);
+        assert.ok(finish <= at(slot.end), `${e.id} at ${e.start} runs past its slot`);
+        assert.ok(finish <= end, `${e.id} at ${e.start} runs past ${it.end}`);
+        clock = finish;
+      }
+    }
+    assert.ok(it.planned_minutes <= (end - at(it.start)) / 60000, `${it.planned_minutes} planned`);
+  });
+}
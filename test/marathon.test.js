@@ -0,0 +1,41 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DateTime } = require("luxon");
+const { planMarathon } = require("../lib/marathon");
+
+const SITE = { lat: 41, lon: 29, tz: "Europe/Istanbul" };
+
+function marathon(date, options = {}) {
+  return planMarathon({ ...SITE, date: new Date(`${date}T12:00:00+03:00`), ...options });
+}
+
+function minutesBetween(a, b) {
+  return DateTime.fromISO(b).diff(DateTime.fromISO(a), "minutes").minutes;
+}
+
+const april = marathon("2027-04-06");
+
+test("objects are observed in order, minutes_per_object apart and above the minimum altitude", () => {
+  assert.ok(april.possible > 100, `${april.possible} possible`);
+  assert.equal(april.possible + april.missed.length + april.impossible.length, april.total);
+  for (let i = 0; i < april.sequence.length; i++) {
+    const s = april.sequence[i];
+    assert.ok(s.altitude_deg >= 5, `${s.id} at ${s.altitude_deg}° at ${s.time}`);
+    if (i > 0) assert.ok(minutesBetween(april.sequence[i - 1].time, s.time) >= 4, `${s.id} at ${s.time}`);
+  }
+  // with nothing to wait for, the clock advances by exactly minutes_per_object
+  assert.equal(minutesBetween(april.sequence[0].time, april.sequence[1].time), 4);
+});
+
+test("a season entry counts what a plan for that night would", () => {
+  for (const entry of [april.season[2], april.season[3], april.season[9]]) {
+    assert.equal(marathon(entry.date).possible, entry.possible, entry.date);
+  }
+});
+
+test("the best marathon dates at mid-northern latitudes are in March and April", () => {
+  const months = april.best_dates.slice(0, 2).map(d => Number(d.date.slice(5, 7)));
+  for (const m of months) assert.ok(m === 3 || m === 4, `${months}`);
+  assert.ok(april.season.every(s => s.possible <= april.best_dates[0].possible));
+});
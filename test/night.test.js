@@ -0,0 +1,63 @@
+const { ISTANBUL } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getWeather } = require("../lib/weather");
+const { assessNight } = require("../lib/night");
+const { toDateInWeatherTZ } = require("../lib/conditions");
+
+async function night(iso, options = {}) {
+  const weather = await getWeather(ISTANBUL.lat, ISTANBUL.lon);
+  return assessNight({ ...ISTANBUL, weather, from: new Date(iso), darkness: "astronomical", ...options });
+}
+
+test("a night inside the forecast gets a verdict, a best window and targets", async () => {
+  const n = await night("2026-02-10T12:00:00+03:00");
+  assert.equal(n.tonight.forecast_available, true);
+  assert.ok(["ok", "mixed", "bad"].includes(n.tonight.verdict));
+  assert.ok(n.tonight.dark_hours_in_forecast > 0);
+  assert.ok(n.best_window);
+  assert.equal(n.targetsAt.getTime(), n.windowStart.getTime());
+  assert.equal(n.targets.length, 8);
+  for (const t of n.targets) assert.ok(t.altitude_deg >= 15, `${t.id} at ${t.altitude_deg}°`);
+});
+
+test("the best window lies inside astronomical darkness", async () => {
+  const weather = await getWeather(ISTANBUL.lat, ISTANBUL.lon);
+  const n = await night("2026-02-10T12:00:00+03:00");
+  // `end` is the start of the window's last forecast hour
+  const end = toDateInWeatherTZ(n.best_window.end, weather.timezone);
+  assert.ok(n.windowStart >= n.dark.start, `${n.windowStart.toISOString()} before dark`);
+  assert.ok(end <= n.dark.end, `${end.toISOString()} after dark`);
+  for (const i of n.darkIdx) {
+    const at = toDateInWeatherTZ(weather.hourly.time[i], weather.timezone);
+    assert.ok(at >= n.dark.start && at <= n.dark.end, weather.hourly.time[i]);
+  }
+});
+
+test("nautical darkness starts earlier and ends later", async () => {
+  const astro = await night("2026-02-10T12:00:00+03:00");
+  const nautical = await night("2026-02-10T12:00:00+03:00", { darkness: "nautical" });
+  assert.ok(nautical.dark.start < astro.dark.start);
+  assert.ok(nautical.dark.end > astro.dark.end);
+  assert.ok(nautical.tonight.dark_hours_in_forecast >= astro.tonight.dark_hours_in_forecast);
+});
+
+test("a night beyond the forecast is astronomy-only, not cloudy", async () => {
+  const n = await night("2026-03-20T12:00:00+03:00");
+  assert.equal(n.tonight.forecast_available, false);
+  assert.equal(n.tonight.verdict, null);
+  assert.equal(n.best_window, null);
+  // targets at the start of darkness that night
+  assert.equal(n.targetsAt.getTime(), n.dark.start.getTime());
+  assert.ok(n.targets.length > 0);
+});
+
+test("after darkness ends the forecast still covers the night", async () => {
+  // dark ends 06:31, the Sun rises after 07:30
+  const n = await night("2026-02-11T07:00:00+03:00");
+  assert.equal(n.tonight.forecast_available, true);
+  assert.equal(n.tonight.dark_hours_in_forecast, 0);
+  assert.equal(n.best_window, null);
+  assert.equal(n.targetsAt, null);
+  assert.deepEqual(n.targets, []);
+});
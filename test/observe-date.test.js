@@ -0,0 +1,40 @@
+const { ISTANBUL, call } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const observeTonight = require("../api/observe-tonight");
+
+function observe(body) {
+  return call(observeTonight, { method: "POST", body: { ...ISTANBUL, ...body } });
+}
+
+test("date and time replace the clock", async () => {
+  const res = await observe({ date: "2026-02-10", time: "22:30" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.received.location.local_time, "2026-02-10T22:30");
+  assert.equal(res.body.tonight.forecast_available, true);
+  // the itinerary starts no earlier than the requested time
+  assert.ok(res.body.itinerary.start >= "2026-02-10T22:30", res.body.itinerary.start);
+});
+
+test("a date beyond the forecast says so and still plans the sky", async () => {
+  const res = await observe({ date: "2026-03-20" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.forecast.available, false);
+  assert.equal(res.body.tonight.night_of, "2026-03-20");
+  assert.match(res.body.tonight.note, /No forecast available for this night \(2026-03-20\)/);
+  assert.ok(res.body.targets.length > 0);
+});
+
+test("between the end of darkness and sunrise the night is over, not unforecast", async () => {
+  const res = await observe({ date: "2026-02-11", time: "07:00" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.tonight.forecast_available, true);
+  assert.match(res.body.tonight.note, /darkness ended at 2026-02-11T06:31/);
+  assert.deepEqual(res.body.targets, []);
+});
+
+test("time without a date is rejected as malformed when it isn't HH:MM", async () => {
+  const res = await observe({ time: "25:00" });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.field, "time");
+});
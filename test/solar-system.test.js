@@ -0,0 +1,11 @@
+const { ISTANBUL } = require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { solarSystemObjects } = require("../lib/solar-system");
+
+test("planets get the constellation of their J2000 position", () => {
+  // Saturn was just across the Aquarius/Pisces boundary: of-date
+  // coordinates would put it in Pisces
+  const saturn = solarSystemObjects({ ...ISTANBUL, date: new Date("2026-01-13T20:00:00Z") }).find(o => o.id === "saturn");
+  assert.equal(saturn.constellation, "Aquarius");
+});
@@ -0,0 +1,40 @@
+require("./helpers");
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getWeather, setWeatherProvider } = require("../lib/weather");
+
+function countingProvider() {
+  const provider = {
+    name: "counting",
+    fetches: 0,
+    async getForecast(lat, lon) {
+      provider.fetches++;
+      return { latitude: lat, longitude: lon, timezone: "UTC", hourly: { time: [] } };
+    },
+  };
+  return provider;
+}
+
+test("forecasts are cached per rounded spot and concurrent requests share a fetch", async () => {
+  const provider = countingProvider();
+  setWeatherProvider(provider);
+  await Promise.all([getWeather(41.011, 28.981), getWeather(41.012, 28.979)]);
+  assert.equal(provider.fetches, 1);
+  await getWeather(41.01, 28.98);
+  assert.equal(provider.fetches, 1);
+  await getWeather(39.93, 32.86);
+  assert.equal(provider.fetches, 2);
+});
+
+test("expired forecasts are fetched again", async () => {
+  const provider = countingProvider();
+  setWeatherProvider(provider);
+  process.env.WEATHER_CACHE_TTL_SECONDS = "0";
+  try {
+    await getWeather(41.01, 28.98);
+    await getWeather(41.01, 28.98);
+    assert.equal(provider.fetches, 2);
+  } finally {
+    delete process.env.WEATHER_CACHE_TTL_SECONDS;
+  }
+});